@@ -0,0 +1,4 @@
+module.exports = {
+    require: ['./test/api/hooks.js'],
+    timeout: 30000
+};
@@ -0,0 +1,136 @@
+/**
+ * ApiError - Structured error thrown by SolflareApiClient
+ *
+ * Categories:
+ * - network: no response (DNS, connection refused/reset)
+ * - timeout: request exceeded the client timeout
+ * - client: HTTP 4xx, or a request that could not be built (invalid URL, header or body)
+ * - server: HTTP 5xx
+ * - schema: 2xx response whose body does not have the expected shape
+ * - validation: rejected by the client before anything was sent
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {object} details - Error details
+     * @param {string} details.category - One of ApiError.CATEGORIES
+     * @param {number|null} details.status - HTTP status, null when there was no response
+     * @param {string} details.endpoint - Endpoint template, e.g. /v3/portfolio/tokens/:address
+     * @param {string} details.method - HTTP method
+     * @param {string} details.url - Full request URL
+     * @param {object} details.params - Query params
+     * @param {*} details.requestBody - Body that was sent
+     * @param {*} details.responseBody - Body that was received
+     * @param {Error} details.cause - Underlying error, if any
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.category = details.category;
+        this.status = details.status ?? null;
+        this.endpoint = details.endpoint ?? null;
+        this.method = details.method ?? null;
+        this.url = details.url ?? null;
+        this.params = details.params;
+        this.requestBody = details.requestBody;
+        this.responseBody = details.responseBody;
+        this.cause = details.cause;
+    }
+
+    /**
+     * Build from a non-2xx raw response
+     * @param {object} response - Raw response from SolflareApiClient.request
+     * @returns {ApiError}
+     */
+    static fromResponse(response) {
+        const { request, status } = response;
+        return new ApiError(
+            `${request.method} ${request.url} failed with status ${status}`,
+            {
+                category: status >= 500 ? 'server' : 'client',
+                status,
+                ...ApiError.requestDetails(request),
+                responseBody: response.body
+            }
+        );
+    }
+
+    /**
+     * Build from an axios error that produced no HTTP response
+     * An error without error.request was thrown while building the request (invalid URL,
+     * header or body), so nothing reached the network and it is categorized 'client'.
+     * @param {Error} error - axios error
+     * @param {object} request - Request description from SolflareApiClient.request
+     * @returns {ApiError}
+     */
+    static fromTransportError(error, request) {
+        const isTimeout = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+        const notSent = !isTimeout && !error.request;
+        const outcome = isTimeout ? 'timed out' : notSent ? 'could not be sent' : 'failed';
+        return new ApiError(
+            `${request.method} ${request.url} ${outcome}: ${error.message}`,
+            {
+                category: isTimeout ? 'timeout' : notSent ? 'client' : 'network',
+                ...ApiError.requestDetails(request),
+                cause: error
+            }
+        );
+    }
+
+    /**
+     * Build for a 2xx response whose body is not what the endpoint should return
+     * @param {object} response - Raw response from SolflareApiClient.request
+     * @param {string} reason - What is wrong with the body
+     * @returns {ApiError}
+     */
+    static schema(response, reason) {
+        const { request } = response;
+        return new ApiError(
+            `${request.method} ${request.url} returned an unexpected body: ${reason}`,
+            {
+                category: 'schema',
+                status: response.status,
+                ...ApiError.requestDetails(request),
+                responseBody: response.body
+            }
+        );
+    }
+
+    /**
+     * Build for input rejected by the client before sending
+     * @param {string} message - What was rejected
+     * @returns {ApiError}
+     */
+    static validation(message) {
+        return new ApiError(message, { category: 'validation' });
+    }
+
+    static requestDetails(request) {
+        return {
+            endpoint: request.endpoint,
+            method: request.method,
+            url: request.url,
+            params: request.params,
+            requestBody: request.body
+        };
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            message: this.message,
+            category: this.category,
+            status: this.status,
+            endpoint: this.endpoint,
+            method: this.method,
+            url: this.url,
+            params: this.params,
+            requestBody: this.requestBody,
+            responseBody: this.responseBody
+        };
+    }
+}
+
+ApiError.CATEGORIES = ['network', 'timeout', 'client', 'server', 'schema', 'validation'];
+
+module.exports = ApiError;
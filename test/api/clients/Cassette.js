@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../../utils/logger');
+const { redactHeaders } = require('../../../utils/redact');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'cassettes');
+const MODES = ['off', 'record', 'replay'];
+
+/**
+ * JSON.stringify with object keys sorted, so equal bodies produce equal keys
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'undefined';
+}
+
+/**
+ * Cassette - Record/replay store for SolflareApiClient requests
+ *
+ * Entries are keyed by method, path, query params and body. Headers are not
+ * part of the key (the Bearer token is random per client) and are stored redacted.
+ *
+ * Modes:
+ * - off: cassette is ignored
+ * - record: every response is written to the cassette file
+ * - replay: responses are served from the file; unknown requests throw
+ */
+class Cassette {
+    /**
+     * @param {string} name - Cassette name, stored as <dir>/<name>.json
+     * @param {object} options - Cassette options
+     * @param {string} options.mode - off, record or replay
+     * @param {string} options.dir - Directory holding cassette files
+     */
+    constructor(name, { mode = 'off', dir = DEFAULT_DIR } = {}) {
+        if (!MODES.includes(mode)) {
+            throw new Error(`Unsupported cassette mode "${mode}". Expected one of: ${MODES.join(', ')}`);
+        }
+        this.name = name;
+        this.mode = mode;
+        this.file = path.join(dir, `${name}.json`);
+        this.entries = {};
+
+        if (mode === 'replay') {
+            if (!fs.existsSync(this.file)) {
+                throw new Error(`Cassette not found: ${this.file}. Record it first with SOLFLARE_API_CASSETTE_MODE=record`);
+            }
+            this.entries = JSON.parse(fs.readFileSync(this.file, 'utf8')).entries;
+            logger.debug(`Replaying cassette ${this.name} (${Object.keys(this.entries).length} entries)`);
+        } else if (mode === 'record' && fs.existsSync(this.file)) {
+            this.entries = JSON.parse(fs.readFileSync(this.file, 'utf8')).entries;
+        }
+    }
+
+    get isRecording() {
+        return this.mode === 'record';
+    }
+
+    get isReplaying() {
+        return this.mode === 'replay';
+    }
+
+    /**
+     * Build the lookup key for a request
+     * @param {object} request - Request description from SolflareApiClient.request
+     * @returns {string} Key like "GET /v3/portfolio/tokens/abc {"network":"mainnet"} undefined"
+     */
+    static key({ method, path: requestPath, params, body }) {
+        const definedParams = Object.fromEntries(
+            Object.entries(params || {}).filter(([, value]) => value !== null && value !== undefined)
+        );
+        return `${method} ${requestPath} ${stableStringify(definedParams)} ${stableStringify(body)}`;
+    }
+
+    /**
+     * Serve a recorded response
+     * @param {object} request - Request description
+     * @returns {object} Recorded status, statusText, headers and body
+     */
+    play(request) {
+        const key = Cassette.key(request);
+        const entry = this.entries[key];
+        if (!entry) {
+            throw new Error(`Cassette ${this.name} has no entry for: ${key}`);
+        }
+        logger.debug(`Cassette hit: ${key}`);
+        return entry.response;
+    }
+
+    /**
+     * Store a response and write the cassette file
+     * @param {object} request - Request description
+     * @param {object} headers - Headers that were sent
+     * @param {object} response - Raw response (status, statusText, headers, body, durationMs)
+     */
+    record(request, headers, response) {
+        const key = Cassette.key(request);
+        this.entries[key] = {
+            request: {
+                method: request.method,
+                // Shows where the entry was recorded (live API or local mock); not part of the key
+                url: request.url,
+                endpoint: request.endpoint,
+                path: request.path,
+                params: request.params,
+                body: request.body,
+                headers: redactHeaders(headers)
+            },
+            response: {
+                status: response.status,
+                statusText: response.statusText,
+                headers: redactHeaders(response.headers),
+                body: response.body,
+                durationMs: response.durationMs
+            },
+            recordedAt: new Date().toISOString()
+        };
+        this.save();
+        logger.debug(`Cassette recorded: ${key}`);
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify({ name: this.name, entries: this.entries }, null, 2) + '\n');
+    }
+}
+
+Cassette.MODES = MODES;
+
+module.exports = Cassette;
@@ -1,44 +1,505 @@
 const axios = require('axios');
 const crypto = require('crypto');
+const ApiError = require('./ApiError');
+const Cassette = require('./Cassette');
+const logger = require('../../../utils/logger');
+const { redactBody, preview } = require('../../../utils/redact');
+const latencyTracker = require('../helpers/LatencyTracker');
+const { isValidAddress, toBalancesPubkey } = require('../helpers/solanaAddress');
+
+const DEFAULT_BASE_URL = 'https://wallet-api.solflare.com';
+
+// Values accepted by the typed methods
+const NETWORKS = ['mainnet', 'devnet', 'testnet'];
+const CURRENCIES = ['usd', 'eur', 'gbp', 'jpy', 'cny', 'krw', 'inr', 'cad', 'aud', 'chf', 'brl', 'rub', 'try', 'uah', 'vnd'];
+
+// Next-page cursor fields followed by the typed portfolio methods, at the top level or under pagination/meta.
+// A plain `cursor` is not followed: APIs commonly echo the current page's cursor there.
+const CURSOR_FIELDS = ['nextCursor', 'next_cursor'];
+// Also accepted under pagination/meta, where `next` cannot be confused with a body field
+const NESTED_CURSOR_FIELDS = [...CURSOR_FIELDS, 'next'];
+const MAX_PAGES = 1000;
+
+const DEFAULT_RETRY = {
+    retries: 3,              // Retries after the first attempt
+    baseDelayMs: 250,        // Backoff for the first retry, doubled each time
+    maxDelayMs: 4000,        // Backoff cap
+    maxRetryAfterMs: 30000,  // Give up instead of waiting longer than this for Retry-After
+    statuses: [429, 502, 503, 504],
+    networkErrors: true      // Also retry ApiError categories 'network' and 'timeout'
+};
+
+function formatBytes(bytes) {
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * " (retry n/m)" for retried attempts, '' for the first one
+ */
+function retryTag(metadata = {}) {
+    const { attempt = 0, maxRetries = 0 } = metadata;
+    return attempt > 0 ? ` (retry ${attempt}/${maxRetries})` : '';
+}
+
+/**
+ * Attach logging interceptors to an axios instance.
+ * Every call logs method, URL, params and redacted body, then status, latency
+ * and payload size; the full response body is logged at debug level.
+ * Latency is also recorded, with the request's host, in the shared LatencyTracker.
+ */
+function attachLogging(http) {
+    http.interceptors.request.use((config) => {
+        config.metadata = { ...config.metadata, startedAt: performance.now() };
+        const details = [
+            config.params && `params=${preview(config.params)}`,
+            config.data !== undefined && `body=${preview(redactBody(config.data))}`,
+            retryTag(config.metadata).trim()
+        ].filter(Boolean).join(' ');
+        logger.apiRequest(config.method.toUpperCase(), config.url, details);
+        return config;
+    });
+
+    http.interceptors.response.use((response) => {
+        const latency = Math.round(performance.now() - response.config.metadata.startedAt);
+        latencyTracker.record({
+            host: hostOf(response.config),
+            endpoint: response.config.metadata.endpoint,
+            method: response.config.method.toUpperCase(),
+            status: response.status,
+            latencyMs: latency
+        });
+        const size = Number(response.headers['content-length'])
+            || Buffer.byteLength(typeof response.data === 'string' ? response.data : JSON.stringify(response.data ?? ''));
+        logger.apiResponse(response.status, `(${latency}ms, ${formatBytes(size)}) ${response.config.method.toUpperCase()} ${response.config.url}${retryTag(response.config.metadata)}`);
+        logger.debug(`Response body ${response.config.method.toUpperCase()} ${response.config.url}`, response.data);
+        return response;
+    }, (error) => {
+        const latency = error.config?.metadata ? Math.round(performance.now() - error.config.metadata.startedAt) : 0;
+        if (error.config?.metadata) {
+            latencyTracker.record({
+                host: hostOf(error.config),
+                endpoint: error.config.metadata.endpoint,
+                method: error.config.method.toUpperCase(),
+                status: null,
+                latencyMs: latency
+            });
+        }
+        logger.warn(`📥 No response (${latency}ms): ${error.code || error.message} ${error.config?.url || ''}${retryTag(error.config?.metadata)}`);
+        return Promise.reject(error);
+    });
+
+    return http;
+}
+
+/**
+ * Host a request went to, so latency of the mock and the live API is kept apart
+ */
+function hostOf(config) {
+    try {
+        return new URL(config.url, config.baseURL).host;
+    } catch (error) {
+        return 'unknown';
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) to milliseconds
+ * @returns {number|null} Delay in ms, or null when absent/unparseable
+ */
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Query params for the next page of a paginated body
+ * Detects a next-page cursor (nextCursor, next_cursor, and next under pagination/meta)
+ * or page numbers (page with totalPages or hasMore) on the body, body.pagination or body.meta.
+ * @returns {object|null} Params to merge into the next request, or null on the last page
+ */
+function nextPageParams(body) {
+    const sources = [[body, CURSOR_FIELDS], [body.pagination, NESTED_CURSOR_FIELDS], [body.meta, NESTED_CURSOR_FIELDS]];
+    for (const [source, cursorFields] of sources) {
+        if (source === null || typeof source !== 'object') continue;
+
+        const field = cursorFields.find(name => source[name] !== undefined);
+        if (field) {
+            return source[field] ? { cursor: source[field] } : null;
+        }
+        if (typeof source.page === 'number') {
+            const hasMore = source.totalPages !== undefined
+                ? source.page < source.totalPages
+                : Boolean(source.hasMore ?? source.has_more);
+            return hasMore ? { page: source.page + 1 } : null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Map items through an async function with at most `limit` calls in flight, keeping order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+    return results;
+}
 
 /**
  * Solflare API Client - Simplified Service Object
  */
 class SolflareApiClient {
-    constructor(baseUrl = 'https://wallet-api.solflare.com') {
-        this.baseUrl = baseUrl;
+    /**
+     * @param {object|string} options - Client options (a string is treated as baseUrl)
+     * @param {string} options.baseUrl - API base URL (takes precedence over mock)
+     * @param {boolean} options.mock - Use the local mock server (default: SOLFLARE_API_MOCK=true)
+     * @param {string} options.network - Default network for every call
+     * @param {string} options.currency - Default fiat currency for balances
+     * @param {boolean} options.validateParams - Reject malformed addresses and unknown network/currency before sending
+     * @param {number} options.timeout - Request timeout in ms
+     * @param {string} options.cassette - Cassette name for record/replay
+     * @param {string} options.cassetteMode - off, record or replay (default: SOLFLARE_API_CASSETTE_MODE or off)
+     * @param {string} options.cassetteDir - Directory holding cassette files
+     * @param {object|false} options.retry - Retry settings merged over DEFAULT_RETRY, false disables retries
+     * @param {number} options.concurrency - Max parallel requests for batch helpers
+     */
+    constructor(options = {}) {
+        const {
+            baseUrl,
+            mock = process.env.SOLFLARE_API_MOCK === 'true',
+            network = 'mainnet',
+            currency = 'usd',
+            validateParams = true,
+            timeout = 30000,
+            cassette,
+            cassetteMode = process.env.SOLFLARE_API_CASSETTE_MODE || 'off',
+            cassetteDir,
+            retry = {},
+            concurrency = 4
+        } = typeof options === 'string' ? { baseUrl: options } : options;
+
+        this.baseUrl = baseUrl || (mock ? SolflareApiClient.mockUrl() : DEFAULT_BASE_URL);
+        this.validateParams = validateParams;
+        this.timeout = timeout;
+        this.network = this.resolveNetwork(network);
+        this.currency = this.resolveCurrency(currency);
         this.authToken = crypto.randomUUID();
+        this.cassette = cassette && cassetteMode !== 'off'
+            ? new Cassette(cassette, { mode: cassetteMode, dir: cassetteDir })
+            : null;
+        this.retry = retry === false
+            ? { ...DEFAULT_RETRY, retries: 0 }
+            : { ...DEFAULT_RETRY, ...retry };
+        this.concurrency = concurrency;
+        this.http = attachLogging(axios.create());
+    }
+
+    /**
+     * URL of the mock server started by the mocha root hooks (test/api/hooks.js)
+     */
+    static mockUrl() {
+        if (!process.env.SOLFLARE_MOCK_URL) {
+            throw new Error('Mock Solflare API is not running. Run mocha with --require ./test/api/hooks.js');
+        }
+        return process.env.SOLFLARE_MOCK_URL;
     }
 
     get headers() {
         return { 'Authorization': `Bearer ${this.authToken}` };
     }
 
-    async getPortfolio(address) {
-        const { data } = await axios.get(
-            `${this.baseUrl}/v3/portfolio/tokens/${address}`,
-            { headers: this.headers, params: { network: 'mainnet' } }
-        );
-        return data;
-    }
-
-    async getBalances(addresses) {
-        const { data } = await axios.post(
-            `${this.baseUrl}/v2/portfolio/balances`,
-            {
-                pubkeys: addresses.map(addr => `1${addr}`),
-                currency: 'usd',
-                general: true,
-                network: 'mainnet'
-            },
-            { headers: this.headers }
+    resolveAddress(address) {
+        if (this.validateParams && !isValidAddress(address)) {
+            throw ApiError.validation(`Invalid address "${address}". Expected a base58 string decoding to 32 bytes`);
+        }
+        return address;
+    }
+
+    resolveNetwork(network) {
+        if (this.validateParams && !NETWORKS.includes(network)) {
+            throw ApiError.validation(`Unsupported network "${network}". Expected one of: ${NETWORKS.join(', ')}`);
+        }
+        return network;
+    }
+
+    resolveCurrency(currency) {
+        if (this.validateParams && !CURRENCIES.includes(currency)) {
+            throw ApiError.validation(`Unsupported currency "${currency}". Expected one of: ${CURRENCIES.join(', ')}`);
+        }
+        return currency;
+    }
+
+    // ==================
+    // Raw request layer
+    // ==================
+
+    /**
+     * Send a request without any validation and return the full response.
+     * Non-2xx statuses resolve normally; only transport failures reject (with an ApiError).
+     * In cassette replay mode the response comes from the cassette instead of the network.
+     * @param {object} options - Request options
+     * @param {string} options.method - HTTP method
+     * @param {string} options.path - Path relative to baseUrl
+     * @param {string} options.endpoint - Endpoint template used in errors (defaults to path)
+     * @param {object} options.params - Query params
+     * @param {*} options.body - Request body, sent as-is
+     * @param {object} options.headers - Headers merged over the defaults (null removes one)
+     * @param {number} options.retries - Override the client's retry count for this call
+     * @returns {Promise<{status: number, statusText: string, headers: object, body: *, durationMs: number, attempts: number, request: object}>}
+     */
+    async request({ method = 'GET', path, endpoint = path, params, body, headers = {}, retries = this.retry.retries }) {
+        const url = `${this.baseUrl}${path}`;
+        const request = { method: method.toUpperCase(), endpoint, path, url, params, body };
+        const mergedHeaders = Object.fromEntries(
+            Object.entries({ ...this.headers, ...headers }).filter(([, value]) => value !== null)
         );
-        return data;
+        // Replayed responses never change, so retrying them only adds delay
+        const maxRetries = this.cassette?.isReplaying ? 0 : retries;
+
+        const startedAt = performance.now();
+        let response;
+        let attempt = 0;
+        for (;;) {
+            let error = null;
+            try {
+                response = this.cassette?.isReplaying
+                    ? this.cassette.play(request)
+                    : await this.send(request, mergedHeaders, { endpoint, attempt, maxRetries });
+            } catch (caught) {
+                error = caught;
+            }
+
+            const delay = attempt < maxRetries ? this.retryDelay(attempt, response, error) : null;
+            if (delay === null) {
+                if (error) throw error;
+                break;
+            }
+
+            attempt++;
+            logger.warn(`↻ Retrying ${request.method} ${url} in ${delay}ms (${attempt}/${maxRetries})`);
+            await sleep(delay);
+        }
+
+        const result = {
+            status: response.status,
+            statusText: response.statusText,
+            headers: { ...response.headers },
+            body: response.body,
+            durationMs: Math.round(performance.now() - startedAt),
+            attempts: attempt + 1,
+            request
+        };
+
+        if (this.cassette?.isRecording) {
+            this.cassette.record(request, mergedHeaders, result);
+        }
+        return result;
+    }
+
+    /**
+     * Decide whether to retry a failed attempt
+     * @param {number} attempt - Zero-based index of the attempt that just failed
+     * @param {object} response - Response of that attempt (when there was one)
+     * @param {ApiError} error - Transport error of that attempt (when there was no response)
+     * @returns {number|null} Delay in ms before retrying, or null to stop
+     */
+    retryDelay(attempt, response, error) {
+        const { baseDelayMs, maxDelayMs, maxRetryAfterMs, statuses, networkErrors } = this.retry;
+
+        if (error) {
+            const retryable = networkErrors && ['network', 'timeout'].includes(error.category);
+            if (!retryable) return null;
+        } else if (!statuses.includes(response.status)) {
+            return null;
+        } else {
+            const retryAfter = parseRetryAfter(response.headers['retry-after']);
+            if (retryAfter !== null) {
+                return retryAfter > maxRetryAfterMs ? null : Math.ceil(retryAfter);
+            }
+        }
+
+        // Exponential backoff with equal jitter: half fixed, half random
+        const capped = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+        return Math.round(capped / 2 + Math.random() * capped / 2);
+    }
+
+    /**
+     * Perform the HTTP call for a request description
+     * @param {object} request - Request description
+     * @param {object} headers - Headers to send
+     * @param {object} metadata - Endpoint and retry info for the interceptors
+     * @returns {Promise<{status: number, statusText: string, headers: object, body: *}>}
+     */
+    async send(request, headers, metadata = {}) {
+        // axios only serializes objects and arrays; encode other JSON values
+        // (42, true, null) ourselves so raw bodies really are sent as-is
+        const encodeBody = request.body !== undefined && typeof request.body !== 'string'
+            && (request.body === null || typeof request.body !== 'object');
+        try {
+            const response = await this.http.request({
+                method: request.method,
+                url: request.url,
+                params: request.params,
+                data: encodeBody ? JSON.stringify(request.body) : request.body,
+                headers: encodeBody ? { 'Content-Type': 'application/json', ...headers } : headers,
+                timeout: this.timeout,
+                validateStatus: () => true,
+                metadata
+            });
+            return {
+                status: response.status,
+                statusText: response.statusText,
+                headers: response.headers,
+                body: response.data
+            };
+        } catch (error) {
+            throw ApiError.fromTransportError(error, request);
+        }
+    }
+
+    /**
+     * Raw call to GET /v3/portfolio/tokens/:address
+     * @param {*} address - Path segment, not validated
+     * @param {object} options - method, params, headers, retries overrides
+     */
+    async makePortfolioRequest(address, { method = 'GET', params = { network: this.network }, headers, retries } = {}) {
+        return this.request({
+            method,
+            path: `/v3/portfolio/tokens/${address}`,
+            endpoint: '/v3/portfolio/tokens/:address',
+            params,
+            headers,
+            retries
+        });
     }
 
-    async getMultiplePortfolios(addresses) {
-        return await Promise.all(addresses.map(addr => this.getPortfolio(addr)));
+    /**
+     * Raw call to POST /v2/portfolio/balances
+     * @param {*} body - Request body, sent as-is
+     * @param {object} options - method, params, headers, retries overrides
+     */
+    async makeBalancesRequest(body, { method = 'POST', params, headers, retries } = {}) {
+        return this.request({ method, path: '/v2/portfolio/balances', params, body, headers, retries });
+    }
+
+    /**
+     * Return the body of a 2xx raw response, otherwise throw an ApiError
+     * @param {object} response - Raw response
+     * @param {string[]} requiredKeys - Top-level keys the body must have
+     */
+    unwrap(response, requiredKeys = []) {
+        if (response.status < 200 || response.status >= 300) {
+            throw ApiError.fromResponse(response);
+        }
+
+        const { body } = response;
+        if (body === null || typeof body !== 'object') {
+            throw ApiError.schema(response, `expected a JSON object, got ${body === null ? 'null' : typeof body}`);
+        }
+        const missing = requiredKeys.filter(key => !(key in body));
+        if (missing.length > 0) {
+            throw ApiError.schema(response, `missing ${missing.join(', ')}`);
+        }
+        return body;
+    }
+
+    // ===============
+    // Typed helpers
+    // ===============
+
+    /**
+     * Fetch every page of a portfolio, following cursor or page fields
+     * @param {string} address - Wallet address
+     * @param {string} network - Network name
+     * @param {object} options - Pagination options
+     * @param {number} options.maxPages - Give up after this many pages
+     * @yields {object} One portfolio body per page
+     */
+    async *portfolioPages(address, network = this.network, { maxPages = MAX_PAGES } = {}) {
+        const target = this.resolveAddress(address);
+        const params = { network: this.resolveNetwork(network) };
+        const seen = new Set();
+        let next = {};
+
+        for (let page = 1; ; page++) {
+            const response = await this.makePortfolioRequest(target, { params: { ...params, ...next } });
+            const body = this.unwrap(response, ['tokens', 'value']);
+            yield body;
+
+            next = nextPageParams(body);
+            if (!next) return;
+
+            const key = JSON.stringify(next);
+            if (seen.has(key)) {
+                throw ApiError.schema(response, `pagination repeated ${key}`);
+            }
+            if (page >= maxPages) {
+                throw ApiError.schema(response, `pagination did not end after ${maxPages} pages`);
+            }
+            seen.add(key);
+        }
+    }
+
+    /**
+     * Stream a portfolio's tokens across all pages
+     * @yields {object} One token at a time
+     */
+    async *streamPortfolioTokens(address, network = this.network) {
+        for await (const page of this.portfolioPages(address, network)) {
+            yield* page.tokens;
+        }
+    }
+
+    /**
+     * Fetch a portfolio; paginated responses are merged into one body with every token
+     */
+    async getPortfolio(address, network = this.network) {
+        let portfolio = null;
+        for await (const page of this.portfolioPages(address, network)) {
+            portfolio = portfolio ? { ...page, tokens: portfolio.tokens.concat(page.tokens) } : page;
+        }
+        return portfolio;
+    }
+
+    async getBalances(addresses, currency = this.currency, network = this.network) {
+        const response = await this.makeBalancesRequest({
+            pubkeys: addresses.map(addr => toBalancesPubkey(this.resolveAddress(addr))),
+            currency: this.resolveCurrency(currency),
+            general: true,
+            network: this.resolveNetwork(network)
+        });
+        return this.unwrap(response, ['netWorth', 'data']);
+    }
+
+    /**
+     * Fetch balances for the same wallets in several currencies
+     * @returns {Promise<object>} Balances keyed by currency, e.g. { usd: {...}, eur: {...} }
+     */
+    async getBalancesInCurrencies(addresses, currencies = ['usd', 'eur', 'gbp'], network = this.network) {
+        const results = await mapWithConcurrency(currencies, this.concurrency, currency => this.getBalances(addresses, currency, network));
+        return Object.fromEntries(currencies.map((currency, i) => [currency, results[i]]));
+    }
+
+    async getMultiplePortfolios(addresses, network = this.network) {
+        return await mapWithConcurrency(addresses, this.concurrency, addr => this.getPortfolio(addr, network));
     }
 }
 
-module.exports = SolflareApiClient;
\ No newline at end of file
+SolflareApiClient.NETWORKS = NETWORKS;
+SolflareApiClient.CURRENCIES = CURRENCIES;
+SolflareApiClient.nextPageParams = nextPageParams;
+SolflareApiClient.ApiError = ApiError;
+
+module.exports = SolflareApiClient;
@@ -0,0 +1,342 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../../../utils/logger');
+const PortfolioValidator = require('./PortfolioValidator');
+const { createRandom } = require('./seededRandom');
+
+// Shrunk reproductions, committed and replayed as regression tests
+const REGRESSIONS_DIR = path.join(__dirname, '..', 'fixtures', 'fuzz', 'balances');
+// Fixed default so CI runs are deterministic; set SOLFLARE_FUZZ_SEED to explore
+const DEFAULT_SEED = 425368342;
+const MAX_ELEMENT_CANDIDATES = 50;
+
+const WRONG_TYPE_VALUES = [null, 0, -1, 1e308, true, false, '', 'usd', [], {}, [null], { nested: {} }];
+const UNICODE_VALUES = ['💰', 'ÄÖÜ', '中文', '\u0000', '‮', '﻿', 'ﬁ', 'ｍａｉｎｎｅｔ', '\ud83d'];
+const EXTRA_KEYS = ['extra', '__proto__', 'constructor', 'pubkeys ', 'PUBKEYS', ''];
+const BAD_PREFIXES = ['', '0', '2', '11', ' 1', '1 ', 'x'];
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function withoutKey(object, key) {
+    const copy = { ...object };
+    delete copy[key];
+    return copy;
+}
+
+/**
+ * Mutations of a known-good balances body. Each returns the mutated body and
+ * leaves bodies it does not apply to unchanged.
+ */
+const MUTATIONS = [
+    {
+        name: 'wrong type',
+        apply: (body, random) => isObject(body)
+            ? { ...body, [random.pick(Object.keys(body))]: random.pick(WRONG_TYPE_VALUES) }
+            : body
+    },
+    {
+        name: 'null field',
+        apply: (body, random) => isObject(body) ? { ...body, [random.pick(Object.keys(body))]: null } : body
+    },
+    {
+        name: 'missing field',
+        apply: (body, random) => isObject(body) ? withoutKey(body, random.pick(Object.keys(body))) : body
+    },
+    {
+        name: 'extra keys',
+        apply: (body, random) => isObject(body)
+            ? { ...body, [random.pick(EXTRA_KEYS)]: random.pick(WRONG_TYPE_VALUES) }
+            : body
+    },
+    {
+        name: 'unicode',
+        apply: (body, random) => {
+            if (!isObject(body)) return body;
+            const key = random.pick(Object.keys(body));
+            const value = body[key];
+            if (Array.isArray(value) && value.length > 0) {
+                const index = random.int(value.length);
+                return { ...body, [key]: value.map((item, i) => i === index ? `${item}${random.pick(UNICODE_VALUES)}` : item) };
+            }
+            return { ...body, [key]: `${typeof value === 'string' ? value : ''}${random.pick(UNICODE_VALUES)}` };
+        }
+    },
+    {
+        name: 'huge pubkeys array',
+        apply: (body, random) => {
+            if (!isObject(body) || !Array.isArray(body.pubkeys) || body.pubkeys.length === 0) return body;
+            const size = 500 + random.int(2000);
+            return { ...body, pubkeys: Array.from({ length: size }, (_, i) => body.pubkeys[i % body.pubkeys.length]) };
+        }
+    },
+    {
+        name: 'duplicate pubkeys',
+        apply: (body, random) => {
+            if (!isObject(body) || !Array.isArray(body.pubkeys) || body.pubkeys.length === 0) return body;
+            return { ...body, pubkeys: [...body.pubkeys, random.pick(body.pubkeys)] };
+        }
+    },
+    {
+        name: 'bad prefix',
+        apply: (body, random) => {
+            if (!isObject(body) || !Array.isArray(body.pubkeys) || body.pubkeys.length === 0) return body;
+            const index = random.int(body.pubkeys.length);
+            return {
+                ...body,
+                pubkeys: body.pubkeys.map((key, i) => i === index && typeof key === 'string'
+                    ? `${random.pick(BAD_PREFIXES)}${key.slice(1)}`
+                    : key)
+            };
+        }
+    },
+    {
+        name: 'wrong pubkey type',
+        apply: (body, random) => {
+            if (!isObject(body) || !Array.isArray(body.pubkeys)) return body;
+            return { ...body, pubkeys: [...body.pubkeys, random.pick(WRONG_TYPE_VALUES)] };
+        }
+    },
+    {
+        name: 'wrong body type',
+        apply: (body, random) => random.pick([null, [], [body], 'pubkeys', 42, true])
+    }
+];
+
+/**
+ * Simpler variants of a value, most aggressive first: empty, halves,
+ * one element or key removed, then each child shrunk in place
+ * @param {*} value - JSON value to shrink
+ */
+function* shrinkCandidates(value) {
+    if (Array.isArray(value)) {
+        if (value.length === 0) return;
+        yield [];
+        if (value.length > 1) {
+            const half = Math.ceil(value.length / 2);
+            yield value.slice(0, half);
+            yield value.slice(half);
+        }
+        const limit = Math.min(value.length, MAX_ELEMENT_CANDIDATES);
+        for (let i = 0; i < limit; i++) {
+            yield [...value.slice(0, i), ...value.slice(i + 1)];
+        }
+        for (let i = 0; i < limit; i++) {
+            for (const smaller of shrinkCandidates(value[i])) {
+                yield [...value.slice(0, i), smaller, ...value.slice(i + 1)];
+            }
+        }
+    } else if (isObject(value)) {
+        const keys = Object.keys(value);
+        for (const key of keys) {
+            yield withoutKey(value, key);
+        }
+        for (const key of keys) {
+            for (const smaller of shrinkCandidates(value[key])) {
+                yield { ...value, [key]: smaller };
+            }
+        }
+    } else if (typeof value === 'string') {
+        if (value.length === 0) return;
+        yield '';
+        if (value.length > 1) {
+            yield value.slice(0, Math.ceil(value.length / 2));
+            yield value.slice(1);
+            yield value.slice(0, -1);
+        }
+    } else if (typeof value === 'number') {
+        if (value !== 0) yield 0;
+        if (!Number.isInteger(value)) yield Math.trunc(value);
+    } else if (value === true) {
+        yield false;
+    }
+}
+
+/**
+ * Balances Fuzzer - Property-based fuzzing of POST /v2/portfolio/balances
+ *
+ * Features:
+ * - Mutates a known-good body with seeded, reproducible mutations
+ * - Properties: never a 5xx or transport failure, and every 2xx has a finite
+ *   netWorth equal to the sum of data[].value
+ * - Shrinks failing bodies to a minimal reproduction
+ * - Saves reproductions to fixtures/fuzz/balances/ as regression fixtures
+ */
+class BalancesFuzzer {
+    /**
+     * @param {SolflareApiClient} api - Client used to send raw bodies (retries are disabled per call)
+     * @param {object} options - Fuzzer options
+     * @param {object} options.baseBody - Known-good balances body to mutate
+     * @param {number} options.seed - PRNG seed (SOLFLARE_FUZZ_SEED, default DEFAULT_SEED)
+     * @param {number} options.runs - Number of generated bodies (SOLFLARE_FUZZ_RUNS, default 50)
+     * @param {number} options.maxShrinkSteps - Requests spent shrinking one failure
+     * @param {string} options.regressionsDir - Where reproductions are written
+     */
+    constructor(api, {
+        baseBody,
+        seed = Number(process.env.SOLFLARE_FUZZ_SEED) || DEFAULT_SEED,
+        runs = Number(process.env.SOLFLARE_FUZZ_RUNS) || 50,
+        maxShrinkSteps = 100,
+        regressionsDir = REGRESSIONS_DIR
+    } = {}) {
+        this.api = api;
+        this.baseBody = baseBody;
+        this.seed = seed;
+        this.runs = runs;
+        this.maxShrinkSteps = maxShrinkSteps;
+        this.regressionsDir = regressionsDir;
+    }
+
+    /**
+     * Check a raw balances response against the fuzzing properties
+     * @param {object} response - Raw response from makeBalancesRequest
+     * @returns {object|null} { kind, message } or null when every property holds
+     */
+    static checkResponse(response) {
+        if (response.status >= 500) {
+            return { kind: 'server-error', message: `Server answered ${response.status}` };
+        }
+        if (response.status < 200 || response.status >= 300) {
+            return null;
+        }
+
+        const { body } = response;
+        if (!isObject(body) || !Array.isArray(body.data)) {
+            return { kind: 'invalid-success-body', message: 'Success without a data array' };
+        }
+        if (typeof body.netWorth !== 'number' || !Number.isFinite(body.netWorth)) {
+            return { kind: 'invalid-net-worth', message: `netWorth is ${JSON.stringify(body.netWorth)}` };
+        }
+        if (body.data.some(wallet => typeof wallet?.value !== 'number' || !Number.isFinite(wallet.value))) {
+            return { kind: 'invalid-wallet-value', message: 'A data[].value is not a finite number' };
+        }
+
+        const sum = PortfolioValidator.sum(body.data, wallet => wallet.value);
+        const allowed = Math.max(0.01, Math.abs(body.netWorth) * 1e-9);
+        if (Math.abs(body.netWorth - sum) > allowed) {
+            return { kind: 'inconsistent-net-worth', message: `netWorth ${body.netWorth} != sum of data ${sum}` };
+        }
+        return null;
+    }
+
+    /**
+     * Shrink a value while it keeps failing
+     * @param {*} value - Failing input
+     * @param {Function} stillFails - async (candidate) => boolean
+     * @param {number} maxSteps - Upper bound on predicate calls
+     * @returns {Promise<*>} The smallest failing input found
+     */
+    static async shrink(value, stillFails, maxSteps = 100) {
+        let current = value;
+        let steps = 0;
+        let progressed = true;
+
+        while (progressed && steps < maxSteps) {
+            progressed = false;
+            for (const candidate of shrinkCandidates(current)) {
+                if (steps++ >= maxSteps) break;
+                if (await stillFails(candidate)) {
+                    current = candidate;
+                    progressed = true;
+                    break;
+                }
+            }
+        }
+        return current;
+    }
+
+    /**
+     * Load saved reproductions
+     * @returns {object[]} { file, failure, body, ... } per fixture
+     */
+    static loadRegressions(dir = REGRESSIONS_DIR) {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .map(file => ({ file, ...JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')) }));
+    }
+
+    /**
+     * Build one mutated body
+     * @param {object} random - PRNG from createRandom
+     * @returns {object} { body, mutations }
+     */
+    generate(random) {
+        const count = 1 + random.int(3);
+        let body = structuredClone(this.baseBody);
+        const mutations = [];
+        for (let i = 0; i < count; i++) {
+            const mutation = random.pick(MUTATIONS);
+            body = mutation.apply(body, random);
+            mutations.push(mutation.name);
+        }
+        return { body, mutations };
+    }
+
+    /**
+     * Send a body and check the properties
+     * @param {*} body - Request body
+     * @returns {Promise<object|null>} Failure or null
+     */
+    async check(body) {
+        try {
+            const response = await this.api.makeBalancesRequest(body, { retries: 0 });
+            return BalancesFuzzer.checkResponse(response);
+        } catch (error) {
+            return { kind: error.category || 'error', message: error.message };
+        }
+    }
+
+    /**
+     * Write a reproduction to the regressions directory
+     * @returns {string} Path of the fixture
+     */
+    saveRegression(body, failure, mutations) {
+        const hash = crypto.createHash('sha1').update(JSON.stringify(body) ?? 'undefined').digest('hex').slice(0, 12);
+        const file = path.join(this.regressionsDir, `${failure.kind}_${hash}.json`);
+        fs.mkdirSync(this.regressionsDir, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({
+            failure,
+            body,
+            mutations,
+            seed: this.seed,
+            foundAt: new Date().toISOString()
+        }, null, 2) + '\n');
+        return file;
+    }
+
+    /**
+     * Generate, send and check `runs` bodies; shrink and save every failure
+     * @returns {Promise<object[]>} { failure, body, mutations, file } per failing run
+     */
+    async run() {
+        const random = createRandom(this.seed);
+        const findings = [];
+        logger.info(`   🎲 Fuzzing ${this.runs} bodies (SOLFLARE_FUZZ_SEED=${this.seed})`);
+
+        for (let run = 1; run <= this.runs; run++) {
+            const { body, mutations } = this.generate(random);
+            const failure = await this.check(body);
+            if (!failure) continue;
+
+            logger.warn(`   💥 Run ${run} [${mutations.join(', ')}]: ${failure.message}`);
+            const shrunk = await BalancesFuzzer.shrink(
+                body,
+                async candidate => (await this.check(candidate))?.kind === failure.kind,
+                this.maxShrinkSteps
+            );
+            const file = this.saveRegression(shrunk, failure, mutations);
+            logger.warn(`   📄 Minimal reproduction: ${file}`);
+            findings.push({ failure, body: shrunk, mutations, file });
+        }
+        return findings;
+    }
+}
+
+BalancesFuzzer.MUTATIONS = MUTATIONS;
+BalancesFuzzer.DEFAULT_SEED = DEFAULT_SEED;
+BalancesFuzzer.createRandom = createRandom;
+BalancesFuzzer.shrinkCandidates = shrinkCandidates;
+
+module.exports = BalancesFuzzer;
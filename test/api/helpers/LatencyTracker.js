@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../../utils/logger');
+
+const REPORTS_DIR = path.join(process.cwd(), 'reports', 'performance');
+const DEFAULT_BUDGETS_FILE = path.join(__dirname, '..', 'config', 'latency-budgets.json');
+// Budgets only apply to these hosts; mock and deliberately broken hosts are reported but never enforced
+const DEFAULT_BUDGET_HOSTS = ['wallet-api.solflare.com'];
+
+/**
+ * Nearest-rank percentile of a sorted array
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * Latency Tracker - Collects per-endpoint timings of every API call
+ *
+ * Features:
+ * - One sample per HTTP exchange (retries are separate samples)
+ * - p50/p95/max/mean per host and endpoint
+ * - Latency budgets that warn or fail the run, enforced for the live API host only
+ * - JSON artifact in reports/performance/ for run-to-run comparison
+ */
+class LatencyTracker {
+    constructor() {
+        this.samples = [];
+    }
+
+    /**
+     * Record one HTTP exchange
+     * @param {object} sample - Timing sample
+     * @param {string} sample.host - Host the request went to, e.g. wallet-api.solflare.com or 127.0.0.1:4010
+     * @param {string} sample.endpoint - Endpoint template, e.g. /v2/portfolio/balances
+     * @param {string} sample.method - HTTP method
+     * @param {number|null} sample.status - HTTP status, null for transport failures
+     * @param {number} sample.latencyMs - Time to response in ms
+     */
+    record({ host, endpoint, method, status, latencyMs }) {
+        this.samples.push({ host, endpoint, method, status, latencyMs });
+    }
+
+    reset() {
+        this.samples = [];
+    }
+
+    /**
+     * Aggregate samples per host, then per endpoint
+     * @returns {object} { [host]: { [endpoint]: { count, p50, p95, max, mean } } }
+     */
+    summarize() {
+        const byHost = {};
+        this.samples.forEach(({ host = 'unknown', endpoint, latencyMs }) => {
+            const byEndpoint = byHost[host] = byHost[host] || {};
+            (byEndpoint[endpoint] = byEndpoint[endpoint] || []).push(latencyMs);
+        });
+
+        return Object.fromEntries(Object.entries(byHost).map(([host, byEndpoint]) => [
+            host,
+            Object.fromEntries(Object.entries(byEndpoint).map(([endpoint, latencies]) => {
+                const sorted = [...latencies].sort((a, b) => a - b);
+                return [endpoint, {
+                    count: sorted.length,
+                    p50: percentile(sorted, 50),
+                    p95: percentile(sorted, 95),
+                    max: sorted[sorted.length - 1],
+                    mean: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length)
+                }];
+            }))
+        ]));
+    }
+
+    /**
+     * Hosts whose samples are checked against budgets
+     * SOLFLARE_LATENCY_HOSTS=host1,host2 overrides the live API host, e.g. for a staging deployment
+     * @returns {string[]}
+     */
+    static budgetHosts() {
+        const hosts = process.env.SOLFLARE_LATENCY_HOSTS;
+        return hosts ? hosts.split(',').map(host => host.trim()).filter(Boolean) : DEFAULT_BUDGET_HOSTS;
+    }
+
+    /**
+     * Load budgets from SOLFLARE_LATENCY_BUDGETS or test/api/config/latency-budgets.json
+     * @returns {object} { [endpoint]: { p50?, p95?, max?, action: 'warn'|'fail' } }
+     */
+    static loadBudgets(file = process.env.SOLFLARE_LATENCY_BUDGETS || DEFAULT_BUDGETS_FILE) {
+        const budgets = JSON.parse(fs.readFileSync(file, 'utf8'));
+        // SOLFLARE_LATENCY_ACTION=fail|warn overrides every budget's action
+        const action = process.env.SOLFLARE_LATENCY_ACTION;
+        return Object.fromEntries(Object.entries(budgets).map(([endpoint, budget]) => [
+            endpoint,
+            { action: 'warn', ...budget, ...(action ? { action } : {}) }
+        ]));
+    }
+
+    /**
+     * Compare a summary with budgets, for the budgeted hosts only
+     * @param {object} summary - Output of summarize()
+     * @param {object} budgets - Budgets per endpoint
+     * @param {string[]} hosts - Hosts to enforce budgets for
+     * @returns {object[]} Violations: { host, endpoint, metric, actual, budget, action }
+     */
+    static checkBudgets(summary, budgets, hosts = LatencyTracker.budgetHosts()) {
+        const violations = [];
+        Object.entries(summary).filter(([host]) => hosts.includes(host)).forEach(([host, endpoints]) => {
+            Object.entries(endpoints).forEach(([endpoint, stats]) => {
+                const budget = budgets[endpoint];
+                if (!budget) return;
+                ['p50', 'p95', 'max'].forEach(metric => {
+                    if (budget[metric] !== undefined && stats[metric] > budget[metric]) {
+                        violations.push({ host, endpoint, metric, actual: stats[metric], budget: budget[metric], action: budget.action });
+                    }
+                });
+            });
+        });
+        return violations;
+    }
+
+    /**
+     * Log the report, write the JSON artifact and enforce budgets
+     * @param {object} budgets - Budgets to check against
+     * @returns {object} The report that was written
+     * @throws {Error} When a budget with action 'fail' is exceeded
+     */
+    report(budgets = LatencyTracker.loadBudgets()) {
+        const summary = this.summarize();
+        const budgetHosts = LatencyTracker.budgetHosts();
+        const violations = LatencyTracker.checkBudgets(summary, budgets, budgetHosts);
+        const report = { generatedAt: new Date().toISOString(), sampleCount: this.samples.length, hosts: summary, budgetHosts, budgets, violations };
+
+        logger.info('\n' + '═'.repeat(70));
+        logger.info('⏱️  API Latency Report');
+        logger.info('═'.repeat(70));
+        Object.entries(summary).forEach(([host, endpoints]) => {
+            logger.info(`   ${host}${budgetHosts.includes(host) ? '' : ' (not budgeted)'}`);
+            Object.entries(endpoints).forEach(([endpoint, stats]) => {
+                logger.info(`      ${endpoint}: n=${stats.count} p50=${stats.p50}ms p95=${stats.p95}ms max=${stats.max}ms mean=${stats.mean}ms`);
+            });
+        });
+        violations.forEach(v => {
+            const message = `Latency budget exceeded: ${v.host} ${v.endpoint} ${v.metric} ${v.actual}ms > ${v.budget}ms`;
+            if (v.action === 'fail') {
+                logger.error(message);
+            } else {
+                logger.warn(message);
+            }
+        });
+
+        fs.mkdirSync(REPORTS_DIR, { recursive: true });
+        const filepath = path.join(REPORTS_DIR, `api-latency_${report.generatedAt.replace(/[:.]/g, '-')}.json`);
+        fs.writeFileSync(filepath, JSON.stringify(report, null, 2));
+        logger.info(`   📄 Report: ${filepath}`);
+        logger.info('═'.repeat(70));
+
+        const failures = violations.filter(v => v.action === 'fail');
+        if (failures.length > 0) {
+            throw new Error(`${failures.length} latency budget(s) exceeded: ${failures.map(v => `${v.host} ${v.endpoint} ${v.metric}`).join(', ')}`);
+        }
+        return report;
+    }
+}
+
+// Export singleton instance shared by every client in the run
+module.exports = new LatencyTracker();
+module.exports.LatencyTracker = LatencyTracker;
@@ -1,12 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
 const { expect } = require('chai');
 const logger = require('../../../utils/logger');
+const { fromBalancesPubkey } = require('./solanaAddress');
+
+// Versioned response schemas, registered by their $id (e.g. 'portfolio.v3')
+const SCHEMAS_DIR = path.join(__dirname, '..', 'schemas');
+const ajv = new Ajv({ allErrors: true, strict: false });
+fs.readdirSync(SCHEMAS_DIR)
+    .filter(file => file.endsWith('.schema.json'))
+    .forEach(file => ajv.addSchema(JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, file), 'utf8'))));
+
+// Reconciliation artifacts (git-ignored)
+const REPORTS_DIR = path.join(process.cwd(), 'reports', 'reconciliation');
+
+// Display symbols for supported fiat currencies (see SolflareApiClient.CURRENCIES)
+const CURRENCY_SYMBOLS = {
+    usd: '$', eur: '€', gbp: '£', jpy: '¥', cny: 'CN¥', krw: '₩', inr: '₹', cad: 'CA$',
+    aud: 'A$', chf: 'CHF ', brl: 'R$', rub: '₽', try: '₺', uah: '₴', vnd: '₫'
+};
+
+// Per-token value fields the API may return next to amount and price
+const TOKEN_VALUE_FIELDS = ['usdValue', 'value', 'totalUsdValue'];
+
+/**
+ * Convert an ajv error to a JSON path, e.g. /tokens/0/price -> $.tokens[0].price
+ */
+function toJsonPath(error) {
+    const segments = error.instancePath.split('/').slice(1);
+    if (error.keyword === 'required') {
+        segments.push(error.params.missingProperty);
+    }
+    return segments.reduce(
+        (jsonPath, segment) => /^\d+$/.test(segment) ? `${jsonPath}[${segment}]` : `${jsonPath}.${segment}`,
+        '$'
+    );
+}
 
 /**
  * Portfolio Validator - Simplified with fluent assertions
  */
 class PortfolioValidator {
+    /**
+     * @param {number|object} tolerance - Absolute tolerance, or a config:
+     *   { default: policy, overrides: { [label]: policy }, currency: 'usd' }
+     *   Overrides match the exact label first, then the longest label prefix.
+     *   currency sets the symbol used by assertMatch and logSummary.
+     */
     constructor(tolerance = 0.01) {
-        this.tolerance = tolerance;
+        const config = typeof tolerance === 'number' || tolerance?.type
+            ? { default: tolerance }
+            : tolerance;
+        this.currency = config.currency || 'usd';
+        this.defaultPolicy = PortfolioValidator.toPolicy(config.default ?? 0.01);
+        this.overrides = Object.fromEntries(
+            Object.entries(config.overrides || {}).map(([label, policy]) => [label, PortfolioValidator.toPolicy(policy)])
+        );
+    }
+
+    // Currency formatting
+    static currencySymbol(currency = 'usd') {
+        return CURRENCY_SYMBOLS[currency] ?? `${currency.toUpperCase()} `;
+    }
+
+    static formatMoney(value, currency = 'usd', digits = 2) {
+        return `${this.currencySymbol(currency)}${value.toFixed(digits)}`;
+    }
+
+    // Tolerance policies
+    static absolute(amount) {
+        return { type: 'absolute', amount };
+    }
+
+    static relative(percent) {
+        return { type: 'relative', percent };
+    }
+
+    static larger(amount, percent) {
+        return { type: 'larger', amount, percent };
+    }
+
+    static toPolicy(policy) {
+        return typeof policy === 'number' ? this.absolute(policy) : policy;
+    }
+
+    static describePolicy(policy, currency = 'usd') {
+        const symbol = this.currencySymbol(currency);
+        switch (policy.type) {
+        case 'absolute': return `absolute ${symbol}${policy.amount}`;
+        case 'relative': return `relative ${policy.percent}%`;
+        case 'larger': return `larger of ${symbol}${policy.amount} or ${policy.percent}%`;
+        default: throw new Error(`Unknown tolerance policy type "${policy.type}"`);
+        }
+    }
+
+    policyFor(label) {
+        if (this.overrides[label]) {
+            return this.overrides[label];
+        }
+        const prefix = Object.keys(this.overrides)
+            .filter(key => label.startsWith(key))
+            .sort((a, b) => b.length - a.length)[0];
+        return prefix ? this.overrides[prefix] : this.defaultPolicy;
+    }
+
+    allowedDifference(expected, label) {
+        const policy = this.policyFor(label);
+        const relative = Math.abs(expected) * (policy.percent || 0) / 100;
+        const allowed = {
+            absolute: policy.amount,
+            relative,
+            larger: Math.max(policy.amount, relative)
+        }[policy.type];
+        return { policy, allowed };
     }
 
     // Quick calculations
@@ -18,23 +125,338 @@ class PortfolioValidator {
         return this.sum(tokens, t => (t.totalUiAmount || 0) * (t.price?.usdPrice || 0));
     }
 
+    // Per-token reconciliation
+    static reconcileTokens(tokens, reportedTotal, topCount = 5) {
+        const rows = tokens.map(t => {
+            const amount = t.totalUiAmount || 0;
+            const price = t.price?.usdPrice ?? null;
+            const computedValue = amount * (price || 0);
+            const valueField = TOKEN_VALUE_FIELDS.find(field => typeof t[field] === 'number');
+            const reportedValue = valueField ? t[valueField] : null;
+            return {
+                mint: t.mint,
+                symbol: t.symbol || null,
+                amount,
+                price,
+                computedValue,
+                reportedValue,
+                difference: reportedValue === null ? null : computedValue - reportedValue
+            };
+        });
+
+        const computedTotal = this.sum(rows, r => r.computedValue);
+        const withReported = rows.filter(r => r.difference !== null);
+        // Rank by per-token mismatch when the API reports per-token values, else by holding size
+        const topContributors = (withReported.length > 0
+            ? [...withReported].sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference))
+            : [...rows].sort((a, b) => b.computedValue - a.computedValue)
+        ).slice(0, topCount);
+
+        return {
+            reportedTotal,
+            computedTotal,
+            difference: computedTotal - reportedTotal,
+            tokenCount: rows.length,
+            rankedBy: withReported.length > 0 ? 'difference' : 'computedValue',
+            topContributors,
+            missingPrice: rows.filter(r => r.price === null),
+            dust: rows.filter(r => r.amount === 0),
+            tokens: rows
+        };
+    }
+
+    logReconciliation(report, label) {
+        const describe = r => `${r.symbol || '?'} (${r.mint})`;
+
+        logger.info(`\n🔎 ${label}: per-token reconciliation (${report.tokenCount} tokens)`);
+        logger.info(`   - Computed: $${report.computedTotal.toFixed(2)} vs Reported: $${report.reportedTotal.toFixed(2)}`);
+        logger.info(`   - Top contributors by ${report.rankedBy}:`);
+        report.topContributors.forEach(r => {
+            const reported = r.reportedValue === null ? 'n/a' : `$${r.reportedValue.toFixed(2)}`;
+            const difference = r.difference === null ? '' : ` (diff $${r.difference.toFixed(4)})`;
+            logger.info(`     • ${describe(r)}: ${r.amount} × $${r.price ?? 'null'} = $${r.computedValue.toFixed(2)} vs ${reported}${difference}`);
+        });
+        if (report.missingPrice.length > 0) {
+            logger.warn(`   - Missing price (${report.missingPrice.length}): ${report.missingPrice.map(describe).join(', ')}`);
+        }
+        if (report.dust.length > 0) {
+            logger.info(`   - Zero-amount dust (${report.dust.length}): ${report.dust.map(describe).join(', ')}`);
+        }
+        return this;
+    }
+
+    writeReconciliation(report, label) {
+        fs.mkdirSync(REPORTS_DIR, { recursive: true });
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const filepath = path.join(REPORTS_DIR, `${label.replace(/[^a-z0-9]+/gi, '_')}_${timestamp}.json`);
+        fs.writeFileSync(filepath, JSON.stringify({ label, ...report }, null, 2));
+        logger.info(`   📄 Reconciliation report: ${filepath}`);
+        return filepath;
+    }
+
+    assertTokenTotal(tokens, expected, label) {
+        const report = PortfolioValidator.reconcileTokens(tokens, expected);
+        if (Math.abs(report.difference) > this.allowedDifference(expected, label).allowed) {
+            this.logReconciliation(report, label);
+            this.writeReconciliation(report, label);
+        }
+        return this.assertMatch(report.computedTotal, expected, label);
+    }
+
+    /**
+     * Reconcile a paginated portfolio as its pages arrive
+     * Every page must report the same value.total and no mint may appear on two pages,
+     * then the tokens of all pages must add up to that total.
+     * @param {AsyncIterable<object>} pages - Portfolio bodies, e.g. api.portfolioPages(address)
+     * @param {string} label - Label for logs, policies and reports
+     * @returns {Promise<{tokens: object[], total: number, pageCount: number}>}
+     */
+    async assertPagedTokenTotal(pages, label) {
+        const tokens = [];
+        const mints = new Set();
+        const duplicates = [];
+        let total = null;
+        let pageCount = 0;
+
+        for await (const page of pages) {
+            pageCount++;
+            if (total === null) {
+                total = page.value.total;
+            } else {
+                this.assertMatch(page.value.total, total, `${label} (page ${pageCount} total)`);
+            }
+            page.tokens.forEach(token => {
+                if (mints.has(token.mint)) duplicates.push(token.mint);
+                mints.add(token.mint);
+                tokens.push(token);
+            });
+            logger.debug(`${label}: page ${pageCount}, ${tokens.length} tokens so far`);
+        }
+
+        logger.info(`   - ${label}: ${pageCount} page(s), ${tokens.length} tokens`);
+        expect(duplicates, `${label}: mints returned on more than one page`).to.be.empty;
+        this.assertTokenTotal(tokens, total, label);
+        return { tokens, total, pageCount };
+    }
+
+    /**
+     * Assert the expectations an address-set entry carries
+     * @param {object} portfolio - Portfolio body
+     * @param {object} expectations - { minTokens, maxTokens, minValue, empty }
+     * @param {string} label - Label for logs and messages
+     */
+    assertExpectations(portfolio, expectations, label) {
+        const { minTokens, maxTokens, minValue, empty } = expectations;
+        const tokenCount = portfolio.tokens.length;
+        const total = portfolio.value.total;
+
+        logger.info(`   - ${label}: ${tokenCount} tokens, ${PortfolioValidator.formatMoney(total, 'usd')} vs ${JSON.stringify(expectations)}`);
+        if (empty) {
+            expect(tokenCount, `${label} must be empty: token count`).to.equal(0);
+            expect(total, `${label} must be empty: total value`).to.equal(0);
+        }
+        if (minTokens !== undefined) {
+            expect(tokenCount, `${label} token count`).to.be.at.least(minTokens);
+        }
+        if (maxTokens !== undefined) {
+            expect(tokenCount, `${label} token count`).to.be.at.most(maxTokens);
+        }
+        if (minValue !== undefined) {
+            expect(total, `${label} total value`).to.be.at.least(minValue);
+        }
+        return this;
+    }
+
+    // Contract validation
+    static validateSchema(payload, schemaId) {
+        const validate = ajv.getSchema(schemaId);
+        if (!validate) {
+            throw new Error(`Unknown schema "${schemaId}". Available: ${Object.keys(ajv.schemas).join(', ')}`);
+        }
+        if (validate(payload)) {
+            return [];
+        }
+        return validate.errors.map(error => ({
+            path: toJsonPath(error),
+            message: error.keyword === 'required' ? 'is required' : error.message
+        }));
+    }
+
+    assertSchema(payload, schemaId, label) {
+        const violations = PortfolioValidator.validateSchema(payload, schemaId);
+
+        logger.info(`   - ${label}: ${violations.length} violation(s) against ${schemaId}`);
+        violations.forEach(({ path: jsonPath, message }) => logger.warn(`     ✗ ${jsonPath} ${message}`));
+
+        expect(violations, `${label} does not match ${schemaId}`).to.be.empty;
+        logger.verify(`✓ ${label} matches ${schemaId}`);
+
+        return this;
+    }
+
     // Fluent assertion API
-    assertMatch(actual, expected, label) {
+    assertMatch(actual, expected, label, currency = this.currency) {
+        const money = (value, digits) => PortfolioValidator.formatMoney(value, currency, digits);
         const diff = Math.abs(actual - expected);
+        const { policy, allowed } = this.allowedDifference(expected, label);
+        const policyText = `${PortfolioValidator.describePolicy(policy, currency)} = ${money(allowed, 4)}`;
         
-        logger.info(`   - ${label}: $${actual.toFixed(2)} vs $${expected.toFixed(2)}`);
-        logger.info(`   - Difference: $${diff.toFixed(4)}`);
+        logger.info(`   - ${label}: ${money(actual)} vs ${money(expected)}`);
+        logger.info(`   - Difference: ${money(diff, 4)}`);
         
-        expect(diff).to.be.lessThan(this.tolerance);
-        logger.verify(`✓ Match within tolerance ($${this.tolerance})`);
+        expect(diff, `${label}: difference ${money(diff, 4)} exceeds tolerance (${policyText})`).to.be.at.most(allowed);
+        logger.verify(`✓ Match within tolerance (${policyText})`);
         
         return this;
     }
 
-    logSummary(title, data) {
+    // Multi-currency consistency
+    static walletKey(wallet, index) {
+        return wallet.pubkey ?? `#${index}`;
+    }
+
+    static impliedRates(balancesByCurrency, baseCurrency = 'usd') {
+        const base = balancesByCurrency[baseCurrency];
+        if (!base) {
+            throw new Error(`Base currency "${baseCurrency}" missing from balances (have: ${Object.keys(balancesByCurrency).join(', ')})`);
+        }
+        const baseWallets = new Map((base.data || []).map((w, i) => [this.walletKey(w, i), w.value || 0]));
+
+        return Object.entries(balancesByCurrency)
+            .filter(([currency]) => currency !== baseCurrency)
+            .map(([currency, balances]) => ({
+                currency,
+                netWorth: balances.netWorth,
+                rate: base.netWorth > 0 ? balances.netWorth / base.netWorth : null,
+                wallets: (balances.data || []).map((w, i) => {
+                    const key = this.walletKey(w, i);
+                    const baseValue = baseWallets.get(key);
+                    return {
+                        key,
+                        baseValue,
+                        value: w.value || 0,
+                        rate: baseValue > 0 ? (w.value || 0) / baseValue : null
+                    };
+                })
+            }));
+    }
+
+    assertFxConsistency(balancesByCurrency, { baseCurrency = 'usd', tolerancePercent = 0.5 } = {}) {
+        const base = balancesByCurrency[baseCurrency];
+        const rates = PortfolioValidator.impliedRates(balancesByCurrency, baseCurrency);
+
+        logger.info(`   - Base: ${PortfolioValidator.formatMoney(base.netWorth, baseCurrency)} (${baseCurrency.toUpperCase()})`);
+        rates.forEach(({ currency, netWorth, rate }) => {
+            const rateText = rate === null ? 'n/a' : rate.toFixed(6);
+            logger.info(`   - ${currency.toUpperCase()}: ${PortfolioValidator.formatMoney(netWorth, currency)} (implied 1 ${baseCurrency.toUpperCase()} = ${rateText} ${currency.toUpperCase()})`);
+        });
+
+        rates.forEach(({ currency, netWorth, rate, wallets }) => {
+            const pair = `${baseCurrency.toUpperCase()}/${currency.toUpperCase()}`;
+            if (rate === null) {
+                expect(netWorth, `${currency} net worth should be 0 when ${baseCurrency} net worth is 0`).to.equal(0);
+                return;
+            }
+            expect(rate, `${pair} implied rate`).to.be.above(0);
+
+            wallets.forEach(({ key, baseValue, value, rate: walletRate }) => {
+                expect(baseValue, `wallet ${key} missing from ${baseCurrency} balances`).to.not.be.undefined;
+                if (walletRate === null) {
+                    expect(value, `wallet ${key}: ${currency} value should be 0 when ${baseCurrency} value is 0`).to.equal(0);
+                    return;
+                }
+                const deviation = Math.abs(walletRate - rate) / rate * 100;
+                expect(deviation, `wallet ${key}: ${pair} rate ${walletRate.toFixed(6)} deviates ${deviation.toFixed(3)}% from ${rate.toFixed(6)} (tolerance ${tolerancePercent}%)`)
+                    .to.be.at.most(tolerancePercent);
+            });
+            logger.verify(`✓ ${pair} consistent across ${wallets.length} wallet(s) within ${tolerancePercent}%`);
+        });
+
+        return this;
+    }
+
+    // Cross-endpoint price consistency
+    /**
+     * Line up each portfolio's value.total with the balances entry for the same address
+     * Balances entries are matched by pubkey (with or without the balances prefix),
+     * falling back to request order when the API omits pubkeys.
+     * @param {string[]} addresses - Wallet addresses, in the order of portfolios
+     * @param {object[]} portfolios - getPortfolio() results
+     * @param {object} balances - getBalances(addresses) result
+     * @returns {object[]} Rows: { address, portfolioValue, balancesValue } (balancesValue undefined when missing)
+     */
+    static pairWalletValues(addresses, portfolios, balances) {
+        const data = balances.data || [];
+        const byAddress = new Map(data
+            .filter(w => typeof w.pubkey === 'string')
+            .map(w => [fromBalancesPubkey(w.pubkey) ?? w.pubkey, w.value || 0]));
+
+        return addresses.map((address, i) => ({
+            address,
+            portfolioValue: portfolios[i].value.total,
+            balancesValue: byAddress.size > 0 ? byAddress.get(address) : data[i]?.value
+        }));
+    }
+
+    /**
+     * Assert every wallet is valued the same by the portfolio and balances endpoints
+     * A wallet outside the label's tolerance policy diverges, unless the two calls were made
+     * within the staleness window and it is off by no more than stalenessPercent;
+     * those are reported as stale and only warned about.
+     * @param {string[]} addresses - Wallet addresses, in the order of portfolios
+     * @param {object[]} portfolios - getPortfolio() results
+     * @param {object} balances - getBalances(addresses) result
+     * @param {object} options - Comparison options
+     * @param {string} options.label - Label for logs and tolerance policies
+     * @param {number} options.elapsedMs - Time between the first and last of the calls
+     * @param {number} options.stalenessMs - Window in which price movement between the calls is tolerated
+     * @param {number} options.stalenessPercent - Movement tolerated inside the window, in percent of the portfolio value
+     * @returns {{consistent: object[], stale: object[], diverged: object[]}} Rows by outcome
+     */
+    assertPriceConsistency(addresses, portfolios, balances, {
+        label = 'Price Consistency', elapsedMs = 0, stalenessMs = 0, stalenessPercent = 0
+    } = {}) {
+        const money = (value, digits) => PortfolioValidator.formatMoney(value, this.currency, digits);
+        const withinWindow = elapsedMs <= stalenessMs;
+        const report = { consistent: [], stale: [], diverged: [] };
+
+        logger.info(`   - ${label}: calls ${elapsedMs}ms apart, staleness window ${stalenessMs}ms (${withinWindow ? `±${stalenessPercent}% tolerated` : 'exceeded'})`);
+        PortfolioValidator.pairWalletValues(addresses, portfolios, balances).forEach(row => {
+            const wallet = `${row.address.substring(0, 8)}...`;
+            if (row.balancesValue === undefined) {
+                report.diverged.push({ ...row, reason: 'missing from balances' });
+                logger.warn(`     ✗ ${wallet} missing from balances`);
+                return;
+            }
+
+            const difference = Math.abs(row.balancesValue - row.portfolioValue);
+            const percent = row.portfolioValue > 0 ? difference / row.portfolioValue * 100 : (difference > 0 ? Infinity : 0);
+            const result = { ...row, difference, percent };
+            const summary = `${wallet} portfolio ${money(row.portfolioValue)} vs balances ${money(row.balancesValue)} (${percent.toFixed(3)}%)`;
+
+            if (difference <= this.allowedDifference(row.portfolioValue, label).allowed) {
+                report.consistent.push(result);
+                logger.info(`     ✓ ${summary}`);
+            } else if (withinWindow && percent <= stalenessPercent) {
+                report.stale.push(result);
+                logger.warn(`     ~ ${summary} - within the staleness window`);
+            } else {
+                report.diverged.push({ ...result, reason: `differs by ${money(difference, 4)}` });
+                logger.warn(`     ✗ ${summary}`);
+            }
+        });
+
+        const details = report.diverged.map(row => `${row.address} ${row.reason}`).join('; ');
+        expect(report.diverged, `${label}: ${report.diverged.length} wallet(s) valued differently by portfolio and balances: ${details}`).to.be.empty;
+        logger.verify(`✓ ${label}: ${report.consistent.length} wallet(s) consistent, ${report.stale.length} within the staleness window`);
+
+        return report;
+    }
+
+    logSummary(title, data, currency = this.currency) {
         logger.summary(title, 
             Object.entries(data).reduce((acc, [key, val]) => {
-                acc[key] = typeof val === 'number' ? `$${val.toFixed(2)}` : val;
+                acc[key] = typeof val === 'number' ? PortfolioValidator.formatMoney(val, currency) : val;
                 return acc;
             }, {})
         );
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { isValidAddress } = require('./solanaAddress');
+
+const ADDRESS_SETS_DIR = path.join(__dirname, '..', 'address-sets');
+const EXTENSIONS = ['.yaml', '.yml', '.json'];
+const EXPECTATION_KEYS = ['minTokens', 'maxTokens', 'minValue', 'empty'];
+const TAG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Address Sets - Data-driven wallet lists for the API specs
+ *
+ * Sets live in test/api/address-sets/ as YAML or JSON:
+ *   name: default
+ *   addresses:
+ *     - address: 96Y3j66AX16noUAAVriW8bmwTGzV1PVqBKCEArPd5fuU
+ *       label: Primary wallet
+ *       tags: [funded]
+ *       expect: { minTokens: 1 }
+ *
+ * Selection (CLI wins over env):
+ *   --address-set=<name|path>     SOLFLARE_ADDRESS_SET   (default: default)
+ *   --address-tags=<tag,...>      SOLFLARE_ADDRESS_TAGS  (entries with any of the tags)
+ */
+
+/**
+ * Read --<name>=value or --<name> value from the command line
+ */
+function cliOption(name, argv = process.argv) {
+    const flag = `--${name}`;
+    const index = argv.findIndex(arg => arg === flag || arg.startsWith(`${flag}=`));
+    if (index === -1) return undefined;
+    return argv[index].includes('=') ? argv[index].split('=').slice(1).join('=') : argv[index + 1];
+}
+
+function selectedSetName() {
+    return cliOption('address-set') || process.env.SOLFLARE_ADDRESS_SET || 'default';
+}
+
+function selectedTags() {
+    const value = cliOption('address-tags') || process.env.SOLFLARE_ADDRESS_TAGS || '';
+    return value.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Resolve a set name (looked up in address-sets/) or a file path
+ */
+function resolveSetFile(nameOrPath) {
+    if (EXTENSIONS.includes(path.extname(nameOrPath))) {
+        return path.resolve(nameOrPath);
+    }
+    const file = EXTENSIONS.map(ext => path.join(ADDRESS_SETS_DIR, `${nameOrPath}${ext}`)).find(fs.existsSync);
+    if (!file) {
+        const available = fs.readdirSync(ADDRESS_SETS_DIR).map(f => path.parse(f).name);
+        throw new Error(`Unknown address set "${nameOrPath}". Available: ${available.join(', ')}`);
+    }
+    return file;
+}
+
+function validateEntry(entry, index, file) {
+    const where = `${path.basename(file)} addresses[${index}]`;
+    if (!isValidAddress(entry?.address)) {
+        throw new Error(`${where}: invalid address "${entry?.address}"`);
+    }
+    const tags = entry.tags || [];
+    if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string' && TAG_PATTERN.test(tag))) {
+        throw new Error(`${where}: tags must be a list of kebab-case strings`);
+    }
+    const expectations = entry.expect || {};
+    const unknown = Object.keys(expectations).filter(key => !EXPECTATION_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`${where}: unknown expectation(s) ${unknown.join(', ')}. Expected: ${EXPECTATION_KEYS.join(', ')}`);
+    }
+    return {
+        address: entry.address,
+        label: entry.label || `${entry.address.substring(0, 8)}...`,
+        tags,
+        expect: expectations
+    };
+}
+
+/**
+ * Load and validate an address set
+ * @param {string} nameOrPath - Set name or file path (default: selected by CLI/env)
+ * @returns {{name: string, description: string, file: string, entries: object[]}}
+ */
+function loadAddressSet(nameOrPath = selectedSetName()) {
+    const file = resolveSetFile(nameOrPath);
+    const raw = fs.readFileSync(file, 'utf8');
+    const data = path.extname(file) === '.json' ? JSON.parse(raw) : yaml.load(raw);
+    if (!Array.isArray(data?.addresses) || data.addresses.length === 0) {
+        throw new Error(`${path.basename(file)}: "addresses" must be a non-empty list`);
+    }
+    return {
+        name: data.name || path.parse(file).name,
+        description: data.description || '',
+        file,
+        entries: data.addresses.map((entry, index) => validateEntry(entry, index, file))
+    };
+}
+
+/**
+ * Entries of the selected set, filtered by the selected tags
+ * @param {object} options - Selection overrides
+ * @param {string} options.set - Set name or path
+ * @param {string[]} options.tags - Keep entries with any of these tags
+ * @returns {object[]} Entries: { address, label, tags, expect }
+ */
+function selectAddresses({ set = selectedSetName(), tags = selectedTags() } = {}) {
+    const { name, entries } = loadAddressSet(set);
+    const selected = tags.length === 0 ? entries : entries.filter(entry => entry.tags.some(tag => tags.includes(tag)));
+    if (selected.length === 0) {
+        throw new Error(`Address set "${name}" has no entries tagged ${tags.join(', ')}`);
+    }
+    return selected;
+}
+
+/**
+ * First address of the selected set that is not tagged empty, for specs that need one funded wallet
+ */
+function primaryAddress(set = selectedSetName()) {
+    const entry = loadAddressSet(set).entries.find(e => !e.tags.includes('empty'));
+    if (!entry) {
+        throw new Error(`Address set "${set}" has no entry without the "empty" tag`);
+    }
+    return entry.address;
+}
+
+module.exports = {
+    EXPECTATION_KEYS,
+    loadAddressSet,
+    selectAddresses,
+    primaryAddress,
+    selectedSetName,
+    selectedTags
+};
@@ -0,0 +1,122 @@
+const { expect } = require('chai');
+const logger = require('../../../utils/logger');
+const ApiError = require('../clients/ApiError');
+
+/**
+ * API Assertions - Chai helpers for asserting on rejected API calls
+ *
+ * Usage:
+ *   const error = await expectApiError(api.getPortfolio('bad')).withStatus(400);
+ *   await expectApiError(promise).withCategory('client').withBodyContaining('invalid');
+ */
+class ApiErrorExpectation {
+    constructor(promise) {
+        this.promise = promise;
+        this.checks = [];
+    }
+
+    /**
+     * Expect an exact HTTP status
+     * @param {number} status - Expected status
+     */
+    withStatus(status) {
+        this.checks.push(error => expect(error.status, 'HTTP status').to.equal(status));
+        return this;
+    }
+
+    /**
+     * Expect the HTTP status to fall in a range (inclusive)
+     * @param {number} min - Lowest accepted status
+     * @param {number} max - Highest accepted status
+     */
+    withStatusBetween(min, max) {
+        this.checks.push(error => expect(error.status, 'HTTP status').to.be.within(min, max));
+        return this;
+    }
+
+    /**
+     * Expect an error category (network, timeout, client, server, schema, validation)
+     * @param {string} category - Expected category
+     */
+    withCategory(category) {
+        this.checks.push(error => expect(error.category, 'error category').to.equal(category));
+        return this;
+    }
+
+    /**
+     * Expect the failing endpoint template
+     * @param {string} endpoint - e.g. /v2/portfolio/balances
+     */
+    withEndpoint(endpoint) {
+        this.checks.push(error => expect(error.endpoint, 'endpoint').to.equal(endpoint));
+        return this;
+    }
+
+    /**
+     * Expect the response body to contain a string, or to include an object subset
+     * @param {string|object} expected - Substring or object subset
+     */
+    withBodyContaining(expected) {
+        this.checks.push(error => {
+            if (typeof expected === 'string') {
+                const body = typeof error.responseBody === 'string'
+                    ? error.responseBody
+                    : JSON.stringify(error.responseBody);
+                expect(body, 'response body').to.include(expected);
+            } else {
+                expect(error.responseBody, 'response body').to.deep.include(expected);
+            }
+        });
+        return this;
+    }
+
+    /**
+     * Expect the error message to contain a string
+     * @param {string} text - Expected substring
+     */
+    withMessageContaining(text) {
+        this.checks.push(error => expect(error.message, 'error message').to.include(text));
+        return this;
+    }
+
+    /**
+     * Run all checks
+     * @returns {Promise<ApiError>} The caught error, for further assertions
+     */
+    async verify() {
+        let error;
+        try {
+            await this.promise;
+        } catch (caught) {
+            error = caught;
+        }
+
+        if (!error) {
+            expect.fail('Expected an ApiError but the request succeeded');
+        }
+        if (!(error instanceof ApiError)) {
+            expect.fail(`Expected an ApiError but got ${error.name}: ${error.message}`);
+        }
+
+        logger.info(`   📊 Status: ${error.status ?? 'N/A'} (${error.category})`);
+        logger.info(`   💬 Message: ${error.message}`);
+
+        this.checks.forEach(check => check(error));
+        return error;
+    }
+
+    then(onFulfilled, onRejected) {
+        return this.verify().then(onFulfilled, onRejected);
+    }
+}
+
+/**
+ * Start an assertion on a promise expected to reject with an ApiError
+ * @param {Promise} promise - Pending API call
+ * @returns {ApiErrorExpectation}
+ */
+function expectApiError(promise) {
+    return new ApiErrorExpectation(promise);
+}
+
+module.exports = { expectApiError, ApiErrorExpectation };
@@ -0,0 +1,73 @@
+const { createRandom } = require('./seededRandom');
+const { encodeBase58, PUBLIC_KEY_LENGTH } = require('./solanaAddress');
+const PortfolioValidator = require('./PortfolioValidator');
+
+/**
+ * Portfolio Generator - Deterministic portfolio.v3 payloads for large-wallet tests
+ *
+ * Mix of tokens, like the wallets where totals drift:
+ * - Fungible tokens with random amounts and prices
+ * - NFTs (decimals 0, amount 1), some with a floor price, most without
+ * - Unpriced tokens (price null or usdPrice null) and dust
+ *
+ * value.total and tokensValue.total are the exact sum of amount * usdPrice,
+ * so a correct client reconciles to a difference of 0.
+ *
+ * Usage:
+ *   const portfolio = generatePortfolio({ tokenCount: 3000, seed: 42 });
+ */
+
+/**
+ * @param {object} options - Generator options
+ * @param {number} options.tokenCount - Number of tokens
+ * @param {number} options.seed - PRNG seed; equal seeds give equal portfolios
+ * @param {number} options.nftRatio - Share of tokens that are NFTs
+ * @param {number} options.unpricedRatio - Share of fungible tokens without a price
+ * @returns {object} portfolio.v3 payload
+ */
+function generatePortfolio({ tokenCount, seed = 1, nftRatio = 0.3, unpricedRatio = 0.1 } = {}) {
+    const random = createRandom(seed);
+    const round = (value, digits) => Number(value.toFixed(digits));
+
+    const tokens = Array.from({ length: tokenCount }, (_, i) => {
+        const mint = encodeBase58(random.bytes(PUBLIC_KEY_LENGTH));
+        const roll = random.next();
+
+        if (roll < nftRatio) {
+            const floorPrice = random.next() < 0.2 ? round(random.next() * 50, 2) : null;
+            return {
+                mint,
+                symbol: null,
+                name: `Generated NFT #${i + 1}`,
+                decimals: 0,
+                totalUiAmount: 1,
+                price: floorPrice === null ? null : { usdPrice: floorPrice }
+            };
+        }
+
+        const decimals = random.pick([0, 2, 6, 8, 9]);
+        const isDust = random.next() < 0.15;
+        const totalUiAmount = round(isDust ? random.next() * 0.001 : random.next() * 10000, decimals);
+        const unpriced = random.next() < unpricedRatio;
+        return {
+            mint,
+            symbol: `GEN${i + 1}`,
+            name: `Generated Token ${i + 1}`,
+            decimals,
+            totalUiAmount,
+            price: unpriced
+                ? random.pick([null, { usdPrice: null }])
+                : { usdPrice: round(random.next() * random.pick([0.0001, 0.01, 1, 10]), 6) }
+        };
+    });
+
+    const total = PortfolioValidator.tokenValue(tokens);
+    return {
+        tokens,
+        value: { total },
+        tokensValue: { total },
+        stocksValue: { total: 0 }
+    };
+}
+
+module.exports = { generatePortfolio };
@@ -0,0 +1,23 @@
+/**
+ * Seeded PRNG (mulberry32), so generated test data can be reproduced from its seed
+ * @param {number} seed - 32-bit seed
+ * @returns {{next: Function, int: Function, pick: Function, bytes: Function}}
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    return {
+        next,
+        int: max => Math.floor(next() * max),
+        pick: items => items[Math.floor(next() * items.length)],
+        bytes: length => Array.from({ length }, () => Math.floor(next() * 256))
+    };
+}
+
+module.exports = { createRandom };
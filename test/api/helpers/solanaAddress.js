@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+
+/**
+ * Solana Address - Test data helpers for Solana public keys
+ *
+ * A Solana address is a 32-byte ed25519 public key written in base58
+ * (Bitcoin alphabet: no 0, O, I or l). There is no checksum, so any base58
+ * string that decodes to exactly 32 bytes is a well-formed address.
+ *
+ * Program-derived addresses are deliberately off the ed25519 curve, so being
+ * off-curve does not make an address malformed; it only means no keypair owns it.
+ *
+ * Usage:
+ *   const { generateKeypair, isValidAddress, invalidVariants } = require('../helpers/solanaAddress');
+ *   const { address } = generateKeypair();
+ *   invalidVariants(address).forEach(({ value, description }) => ...);
+ */
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const PUBLIC_KEY_LENGTH = 32;
+
+/**
+ * POST /v2/portfolio/balances expects every pubkey prefixed with "1"
+ * (observed API convention; unprefixed keys are not accepted reliably).
+ * Build and parse balances pubkeys only through toBalancesPubkey/fromBalancesPubkey.
+ */
+const BALANCES_PUBKEY_PREFIX = '1';
+
+// ed25519 field prime and curve constant d = -121665/121666 mod p
+const P = 2n ** 255n - 19n;
+
+function modPow(base, exponent, modulus) {
+    let result = 1n;
+    base %= modulus;
+    while (exponent > 0n) {
+        if (exponent & 1n) result = (result * base) % modulus;
+        base = (base * base) % modulus;
+        exponent >>= 1n;
+    }
+    return result;
+}
+
+const mod = value => ((value % P) + P) % P;
+const D = mod(-121665n * modPow(121666n, P - 2n, P));
+
+/**
+ * Encode bytes as base58
+ * @param {Uint8Array|number[]} bytes - Bytes to encode
+ * @returns {string} base58 string
+ */
+function encodeBase58(bytes) {
+    const digits = [];
+    for (const byte of bytes) {
+        let carry = byte;
+        for (let i = 0; i < digits.length; i++) {
+            carry += digits[i] << 8;
+            digits[i] = carry % 58;
+            carry = (carry / 58) | 0;
+        }
+        while (carry > 0) {
+            digits.push(carry % 58);
+            carry = (carry / 58) | 0;
+        }
+    }
+    let leadingZeros = '';
+    for (const byte of bytes) {
+        if (byte !== 0) break;
+        leadingZeros += BASE58_ALPHABET[0];
+    }
+    return leadingZeros + digits.reverse().map(digit => BASE58_ALPHABET[digit]).join('');
+}
+
+/**
+ * Decode a base58 string, returning null for characters outside the alphabet
+ * @param {string} value - base58 string
+ * @returns {number[]|null} Decoded bytes
+ */
+function decodeBase58(value) {
+    const bytes = [];
+    for (const char of value) {
+        let carry = BASE58_ALPHABET.indexOf(char);
+        if (carry === -1) return null;
+        for (let i = 0; i < bytes.length; i++) {
+            carry += bytes[i] * 58;
+            bytes[i] = carry & 0xff;
+            carry >>= 8;
+        }
+        while (carry > 0) {
+            bytes.push(carry & 0xff);
+            carry >>= 8;
+        }
+    }
+    for (const char of value) {
+        if (char !== BASE58_ALPHABET[0]) break;
+        bytes.push(0);
+    }
+    return bytes.reverse();
+}
+
+/**
+ * Check that a value is a base58 string decoding to a 32-byte public key
+ * @param {*} value - Candidate address
+ */
+function isValidAddress(value) {
+    return typeof value === 'string' && decodeBase58(value)?.length === PUBLIC_KEY_LENGTH;
+}
+
+/**
+ * Check that 32 bytes decompress to a point on the ed25519 curve
+ * @param {string|Uint8Array|number[]} address - Address or raw public key bytes
+ */
+function isOnCurve(address) {
+    const bytes = typeof address === 'string' ? decodeBase58(address) : Array.from(address);
+    if (bytes?.length !== PUBLIC_KEY_LENGTH) return false;
+
+    const sign = bytes[31] >> 7;
+    let y = 0n;
+    for (let i = PUBLIC_KEY_LENGTH - 1; i >= 0; i--) {
+        y = (y << 8n) + BigInt(i === 31 ? bytes[i] & 0x7f : bytes[i]);
+    }
+    if (y >= P) return false;
+
+    // x^2 = (y^2 - 1) / (d*y^2 + 1) must be a square mod p
+    const y2 = mod(y * y);
+    const x2 = mod((y2 - 1n) * modPow(mod(D * y2 + 1n), P - 2n, P));
+    if (x2 === 0n) return sign === 0;
+    return modPow(x2, (P - 1n) / 2n, P) === 1n;
+}
+
+/**
+ * Generate a random ed25519 keypair offline
+ * @returns {{address: string, publicKey: Buffer, secretKey: Buffer}} secretKey is the
+ *   64-byte Solana format (seed followed by public key)
+ */
+function generateKeypair() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const publicBytes = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+    const seed = Buffer.from(privateKey.export({ format: 'jwk' }).d, 'base64url');
+    return {
+        address: encodeBase58(publicBytes),
+        publicKey: publicBytes,
+        secretKey: Buffer.concat([seed, publicBytes])
+    };
+}
+
+/**
+ * Random well-formed address that belongs to a fresh keypair
+ */
+function randomAddress() {
+    return generateKeypair().address;
+}
+
+/**
+ * Random well-formed address that is not on the ed25519 curve (like a PDA)
+ */
+function offCurveAddress() {
+    for (;;) {
+        const bytes = crypto.randomBytes(PUBLIC_KEY_LENGTH);
+        if (!isOnCurve(bytes)) return encodeBase58(bytes);
+    }
+}
+
+/**
+ * Malformed variants of a valid address. Lengths are changed on the decoded
+ * bytes, since dropping a single base58 character can still decode to 32 bytes.
+ * @param {string} address - Valid address to derive from
+ * @returns {{value: string, description: string}[]}
+ */
+function invalidVariants(address) {
+    const bytes = decodeBase58(address);
+    if (bytes?.length !== PUBLIC_KEY_LENGTH) {
+        throw new Error(`Not a valid address: ${address}`);
+    }
+    const middle = Math.floor(address.length / 2);
+    const withChar = char => address.slice(0, middle) + char + address.slice(middle + 1);
+
+    return [
+        { value: encodeBase58(bytes.slice(0, PUBLIC_KEY_LENGTH - 1)), description: '31-byte key' },
+        { value: encodeBase58([...bytes, 0]), description: '33-byte key' },
+        ...['0', 'O', 'I', 'l'].map(char => ({ value: withChar(char), description: `non-base58 character "${char}"` })),
+        { value: ` ${address}`, description: 'leading whitespace' },
+        { value: toBalancesPubkey(address), description: 'balances "1" prefix on a plain address' }
+    ];
+}
+
+/**
+ * Format an address for POST /v2/portfolio/balances
+ * @param {string} address - Plain address
+ */
+function toBalancesPubkey(address) {
+    return `${BALANCES_PUBKEY_PREFIX}${address}`;
+}
+
+/**
+ * Parse a balances pubkey back to its address
+ * @param {*} pubkey - Prefixed pubkey
+ * @returns {string|null} The address, or null when the prefix or key is invalid
+ */
+function fromBalancesPubkey(pubkey) {
+    if (typeof pubkey !== 'string' || !pubkey.startsWith(BALANCES_PUBKEY_PREFIX)) return null;
+    const address = pubkey.slice(BALANCES_PUBKEY_PREFIX.length);
+    return isValidAddress(address) ? address : null;
+}
+
+module.exports = {
+    BASE58_ALPHABET,
+    PUBLIC_KEY_LENGTH,
+    BALANCES_PUBKEY_PREFIX,
+    encodeBase58,
+    decodeBase58,
+    isValidAddress,
+    isOnCurve,
+    generateKeypair,
+    randomAddress,
+    offCurveAddress,
+    invalidVariants,
+    toBalancesPubkey,
+    fromBalancesPubkey
+};
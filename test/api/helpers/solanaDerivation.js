@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const { encodeBase58 } = require('./solanaAddress');
+
+/**
+ * Solana Derivation - Offline BIP39/BIP44 oracle for wallets created from a mnemonic
+ *
+ * mnemonic --BIP39 (PBKDF2-HMAC-SHA512, 2048 rounds)--> 64-byte seed
+ * seed --SLIP-0010 ed25519, hardened only--> keypair at a BIP44 path, e.g. m/44'/501'/0'/0'
+ *
+ * Solflare derives account i at m/44'/501'/i'/0' ("Derive next account" moves to i + 1).
+ * The mnemonic checksum is not verified; pass phrases the app has already accepted.
+ *
+ * Usage:
+ *   const { deriveAddresses } = require('../api/helpers/solanaDerivation');
+ *   deriveAddresses(recoveryPhrase, 4); // addresses of accounts 0-3
+ */
+
+const HARDENED_OFFSET = 0x80000000;
+const ED25519_CURVE_KEY = 'ed25519 seed';
+// PKCS#8 DER header of a raw 32-byte ed25519 private key
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+// Standard Solana paths; {account} is replaced by the account index
+const DERIVATION_PATHS = {
+    bip44Change: "m/44'/501'/{account}'/0'",
+    bip44: "m/44'/501'/{account}'",
+    root: "m/44'/501'"
+};
+const DEFAULT_PATH = DERIVATION_PATHS.bip44Change;
+
+/**
+ * BIP39 mnemonic to seed
+ * @param {string|string[]} mnemonic - Words, as a string or array
+ * @param {string} passphrase - Optional BIP39 passphrase
+ * @returns {Buffer} 64-byte seed
+ */
+function mnemonicToSeed(mnemonic, passphrase = '') {
+    const words = Array.isArray(mnemonic) ? mnemonic : mnemonic.trim().split(/\s+/);
+    const normalized = words.join(' ').normalize('NFKD');
+    return crypto.pbkdf2Sync(normalized, `mnemonic${passphrase}`.normalize('NFKD'), 2048, 64, 'sha512');
+}
+
+/**
+ * Parse a hardened derivation path
+ * @param {string} path - e.g. m/44'/501'/0'/0'
+ * @returns {number[]} Segment indexes including the hardened offset
+ */
+function parsePath(path) {
+    const segments = path.split('/');
+    if (segments.shift() !== 'm') {
+        throw new Error(`Derivation path must start with "m": ${path}`);
+    }
+    return segments.map(segment => {
+        const match = /^(\d+)['hH]$/.exec(segment);
+        if (!match) {
+            throw new Error(`ed25519 supports hardened segments only, got "${segment}" in ${path}`);
+        }
+        return Number(match[1]) + HARDENED_OFFSET;
+    });
+}
+
+function hmacSha512(key, data) {
+    const digest = crypto.createHmac('sha512', key).update(data).digest();
+    return { key: digest.subarray(0, 32), chainCode: digest.subarray(32) };
+}
+
+/**
+ * SLIP-0010 ed25519 private key derivation
+ * @param {Buffer} seed - BIP39 seed
+ * @param {string} path - Hardened derivation path
+ * @returns {{key: Buffer, chainCode: Buffer}} 32-byte private key (ed25519 seed) and chain code
+ */
+function derivePrivateKey(seed, path) {
+    return parsePath(path).reduce(({ key, chainCode }, index) => {
+        const indexBytes = Buffer.alloc(4);
+        indexBytes.writeUInt32BE(index);
+        return hmacSha512(chainCode, Buffer.concat([Buffer.alloc(1), key, indexBytes]));
+    }, hmacSha512(ED25519_CURVE_KEY, seed));
+}
+
+/**
+ * ed25519 public key of a 32-byte private key
+ * @param {Buffer} privateKey - Private key (ed25519 seed)
+ * @returns {Buffer} 32-byte public key
+ */
+function publicKeyOf(privateKey) {
+    const keyObject = crypto.createPrivateKey({
+        key: Buffer.concat([ED25519_PKCS8_PREFIX, privateKey]),
+        format: 'der',
+        type: 'pkcs8'
+    });
+    return Buffer.from(crypto.createPublicKey(keyObject).export({ format: 'jwk' }).x, 'base64url');
+}
+
+/**
+ * Fill in the account index of a path template
+ * @param {number} account - Account index
+ * @param {string} template - Path with an {account} placeholder
+ */
+function accountPath(account, template = DEFAULT_PATH) {
+    return template.replace('{account}', String(account));
+}
+
+/**
+ * Keypair for a mnemonic at a derivation path
+ * @param {string|string[]} mnemonic - Recovery phrase
+ * @param {string} path - Hardened derivation path
+ * @param {string} passphrase - Optional BIP39 passphrase
+ * @returns {{path: string, address: string, publicKey: Buffer, secretKey: Buffer}} secretKey is the 64-byte Solana form
+ */
+function deriveKeypair(mnemonic, path = accountPath(0), passphrase = '') {
+    const { key } = derivePrivateKey(mnemonicToSeed(mnemonic, passphrase), path);
+    const publicKey = publicKeyOf(key);
+    return {
+        path,
+        address: encodeBase58(publicKey),
+        publicKey,
+        secretKey: Buffer.concat([key, publicKey])
+    };
+}
+
+/**
+ * Addresses of the first accounts of a mnemonic
+ * @param {string|string[]} mnemonic - Recovery phrase
+ * @param {number} count - Number of accounts, starting at index 0
+ * @param {string} template - Path template with an {account} placeholder
+ * @returns {string[]} Base58 addresses by account index
+ */
+function deriveAddresses(mnemonic, count, template = DEFAULT_PATH) {
+    const seed = mnemonicToSeed(mnemonic);
+    return Array.from({ length: count }, (_, account) => encodeBase58(publicKeyOf(derivePrivateKey(seed, accountPath(account, template)).key)));
+}
+
+/**
+ * Whether an address as displayed by the app (full, or shortened like "HAgk...Kpqk") is this address
+ * @param {string} displayed - Text shown in the UI
+ * @param {string} address - Full base58 address
+ */
+function matchesDisplayedAddress(displayed, address) {
+    const text = (displayed || '').trim();
+    const parts = text.split(/\.{2,}|…/).map(part => part.trim());
+    if (parts.length === 1) {
+        return text === address;
+    }
+    const [prefix, suffix] = [parts[0], parts[parts.length - 1]];
+    return prefix.length > 0 && suffix.length > 0 && address.startsWith(prefix) && address.endsWith(suffix);
+}
+
+module.exports = {
+    DERIVATION_PATHS,
+    DEFAULT_PATH,
+    mnemonicToSeed,
+    parsePath,
+    derivePrivateKey,
+    publicKeyOf,
+    accountPath,
+    deriveKeypair,
+    deriveAddresses,
+    matchesDisplayedAddress
+};
@@ -0,0 +1,31 @@
+const logger = require('../../utils/logger');
+const MockSolflareServer = require('./mock/MockSolflareServer');
+const latencyTracker = require('./helpers/LatencyTracker');
+
+/**
+ * Mocha Root Hooks - API suite setup
+ *
+ * Starts the local mock Solflare API for the whole run and exposes its URL as
+ * SOLFLARE_MOCK_URL. Clients use it when created with `{ mock: true }`, or by
+ * default when SOLFLARE_API_MOCK=true.
+ *
+ * After the run, prints the per-host, per-endpoint latency report, writes it to
+ * reports/performance/ and fails the run if a 'fail' latency budget is exceeded
+ * on the live API host (mock traffic is reported but never budgeted).
+ */
+const mockServer = new MockSolflareServer();
+
+exports.mochaHooks = {
+    async beforeAll() {
+        process.env.SOLFLARE_MOCK_URL = await mockServer.start();
+        if (process.env.SOLFLARE_API_MOCK === 'true') {
+            logger.info(`🧪 API tests running against mock server: ${process.env.SOLFLARE_MOCK_URL}`);
+        }
+    },
+
+    async afterAll() {
+        await mockServer.stop();
+        delete process.env.SOLFLARE_MOCK_URL;
+        latencyTracker.report();
+    }
+};
@@ -0,0 +1,251 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../../utils/logger');
+const { isValidAddress, fromBalancesPubkey } = require('../helpers/solanaAddress');
+const { generatePortfolio } = require('../helpers/portfolioGenerator');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const NETWORKS = ['mainnet', 'devnet', 'testnet'];
+const DEFAULT_PAGE_SIZE = 500;
+
+const encodeCursor = offset => Buffer.from(`offset:${offset}`).toString('base64url');
+
+function decodeCursor(cursor) {
+    const match = Buffer.from(cursor, 'base64url').toString('utf8').match(/^offset:(\d+)$/);
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Mock Solflare Server - Local stand-in for wallet-api.solflare.com
+ *
+ * Serves:
+ * - GET  /v3/portfolio/tokens/:address  from fixtures/portfolios/<address>.json
+ * - POST /v2/portfolio/balances         aggregated from the same fixtures
+ *
+ * Known addresses on mainnet return their fixture; any other valid address,
+ * and every address on devnet/testnet, returns an empty portfolio.
+ * fixtures/generated/<address>.json holds portfolioGenerator options instead
+ * of a payload, for wallets with thousands of tokens.
+ *
+ * Portfolios with more than pageSize tokens are paginated: each page carries
+ * nextCursor (null on the last page), passed back as ?cursor=.
+ * Invalid addresses, networks, currencies and bodies return 400.
+ *
+ * For resilience tests, failures can be queued with failNext(), every
+ * response delayed with latencyMs and single paths delayed with delayPath();
+ * peakConcurrency records the most requests handled at once.
+ */
+class MockSolflareServer {
+    constructor(fixturesDir = FIXTURES_DIR) {
+        this.fixturesDir = fixturesDir;
+        this.rates = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'rates.json'), 'utf8'));
+        this.server = null;
+        this.url = null;
+        this.latencyMs = 0;
+        this.pathLatencies = [];
+        this.failures = [];
+        this.inFlight = 0;
+        this.peakConcurrency = 0;
+        this.requestCount = 0;
+        this.pageSize = DEFAULT_PAGE_SIZE;
+        this.generated = new Map();
+    }
+
+    /**
+     * Answer the next matching requests with an error instead of the fixture
+     * @param {number} count - How many requests to fail
+     * @param {object} options - Failure options
+     * @param {number} options.status - HTTP status to return
+     * @param {object} options.headers - Extra response headers (e.g. Retry-After)
+     * @param {string} options.path - Only fail requests whose path starts with this
+     */
+    failNext(count, { status = 503, headers = {}, path: pathPrefix = '/' } = {}) {
+        for (let i = 0; i < count; i++) {
+            this.failures.push({ status, headers, pathPrefix });
+        }
+        return this;
+    }
+
+    /**
+     * Delay responses to matching paths, on top of latencyMs
+     * @param {string} pathPrefix - Only delay requests whose path starts with this
+     * @param {number} ms - Extra delay in ms
+     */
+    delayPath(pathPrefix, ms) {
+        this.pathLatencies.push({ pathPrefix, ms });
+        return this;
+    }
+
+    /**
+     * Clear injected failures, latency, page size and counters
+     */
+    reset() {
+        this.latencyMs = 0;
+        this.pathLatencies = [];
+        this.pageSize = DEFAULT_PAGE_SIZE;
+        this.failures = [];
+        this.peakConcurrency = 0;
+        this.requestCount = 0;
+        return this;
+    }
+
+    /**
+     * Start listening on localhost
+     * @param {number} port - Port to bind, 0 picks a free one
+     * @returns {Promise<string>} Base URL of the running server
+     */
+    async start(port = 0) {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', resolve);
+        });
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        logger.debug(`Mock Solflare API listening on ${this.url}`);
+        return this.url;
+    }
+
+    /**
+     * Stop the server
+     */
+    async stop() {
+        if (!this.server) return;
+        await new Promise(resolve => this.server.close(resolve));
+        logger.debug('Mock Solflare API stopped');
+        this.server = null;
+        this.url = null;
+    }
+
+    /**
+     * Load the portfolio for an address, or an empty one when there is no fixture
+     * @param {string} address - Wallet address
+     * @param {string} network - Network name
+     * @returns {object} Portfolio payload
+     */
+    portfolio(address, network) {
+        if (network !== 'mainnet') {
+            return { tokens: [], value: { total: 0 }, tokensValue: { total: 0 }, stocksValue: { total: 0 } };
+        }
+        const file = path.join(this.fixturesDir, 'portfolios', `${address}.json`);
+        if (fs.existsSync(file)) {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        }
+        const generatedFile = path.join(this.fixturesDir, 'generated', `${address}.json`);
+        if (fs.existsSync(generatedFile)) {
+            if (!this.generated.has(address)) {
+                this.generated.set(address, generatePortfolio(JSON.parse(fs.readFileSync(generatedFile, 'utf8'))));
+            }
+            return structuredClone(this.generated.get(address));
+        }
+        return { tokens: [], value: { total: 0 }, tokensValue: { total: 0 }, stocksValue: { total: 0 } };
+    }
+
+    async handle(req, res) {
+        this.requestCount++;
+        this.inFlight++;
+        this.peakConcurrency = Math.max(this.peakConcurrency, this.inFlight);
+        res.on('finish', () => this.inFlight--);
+
+        const url = new URL(req.url, 'http://localhost');
+        const body = await this.readBody(req);
+        const latencyMs = this.latencyMs + this.pathLatencies
+            .filter(({ pathPrefix }) => url.pathname.startsWith(pathPrefix))
+            .reduce((sum, { ms }) => sum + ms, 0);
+        if (latencyMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, latencyMs));
+        }
+
+        const failureIndex = this.failures.findIndex(f => url.pathname.startsWith(f.pathPrefix));
+        if (failureIndex !== -1) {
+            const [failure] = this.failures.splice(failureIndex, 1);
+            return this.send(res, failure.status, { error: `Injected failure ${failure.status}` }, failure.headers);
+        }
+
+        const portfolioMatch = url.pathname.match(/^\/v3\/portfolio\/tokens\/([^/]+)$/);
+        if (req.method === 'GET' && portfolioMatch) {
+            return this.handlePortfolio(res, decodeURIComponent(portfolioMatch[1]), url.searchParams.get('network'), url.searchParams.get('cursor'));
+        }
+        if (req.method === 'POST' && url.pathname === '/v2/portfolio/balances') {
+            return this.handleBalances(res, body);
+        }
+        return this.send(res, 404, { error: `Not found: ${req.method} ${url.pathname}` });
+    }
+
+    handlePortfolio(res, address, network, cursor) {
+        if (!isValidAddress(address)) {
+            return this.send(res, 400, { error: `Invalid address: ${address}` });
+        }
+        if (!NETWORKS.includes(network)) {
+            return this.send(res, 400, { error: `Invalid network: ${network}` });
+        }
+
+        const portfolio = this.portfolio(address, network);
+        if (portfolio.tokens.length <= this.pageSize) {
+            return this.send(res, 200, portfolio);
+        }
+
+        const offset = cursor === null ? 0 : decodeCursor(cursor);
+        if (offset === null || offset >= portfolio.tokens.length) {
+            return this.send(res, 400, { error: `Invalid cursor: ${cursor}` });
+        }
+        const end = offset + this.pageSize;
+        return this.send(res, 200, {
+            ...portfolio,
+            tokens: portfolio.tokens.slice(offset, end),
+            nextCursor: end < portfolio.tokens.length ? encodeCursor(end) : null
+        });
+    }
+
+    handleBalances(res, rawBody) {
+        let body;
+        try {
+            body = JSON.parse(rawBody);
+        } catch {
+            return this.send(res, 400, { error: 'Body must be valid JSON' });
+        }
+        if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+            return this.send(res, 400, { error: 'Body must be an object' });
+        }
+
+        const { pubkeys, currency, network } = body;
+        if (!Array.isArray(pubkeys) || pubkeys.length === 0) {
+            return this.send(res, 400, { error: 'pubkeys must be a non-empty array' });
+        }
+        const invalid = pubkeys.filter(key => fromBalancesPubkey(key) === null);
+        if (invalid.length > 0) {
+            return this.send(res, 400, { error: `Invalid pubkeys: ${invalid.map(String).join(', ')}` });
+        }
+        // Own keys only: 'constructor' or 'toString' are not currencies
+        if (typeof currency !== 'string' || !Object.hasOwn(this.rates, currency)) {
+            return this.send(res, 400, { error: `Invalid currency: ${currency}` });
+        }
+        if (!NETWORKS.includes(network)) {
+            return this.send(res, 400, { error: `Invalid network: ${network}` });
+        }
+
+        const rate = this.rates[currency];
+        const data = pubkeys.map(pubkey => ({
+            pubkey,
+            value: this.portfolio(fromBalancesPubkey(pubkey), network).value.total * rate
+        }));
+        const netWorth = data.reduce((total, wallet) => total + wallet.value, 0);
+        return this.send(res, 200, { netWorth, currency, data });
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+            req.on('error', reject);
+        });
+    }
+
+    send(res, status, payload, headers = {}) {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(payload));
+    }
+}
+
+module.exports = MockSolflareServer;
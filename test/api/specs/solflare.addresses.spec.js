@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const logger = require('../../../utils/logger');
+const solanaAddress = require('../helpers/solanaAddress');
+const solanaDerivation = require('../helpers/solanaDerivation');
+const addressSets = require('../helpers/addressSets');
+
+/**
+ * Solana Address Test Data
+ *
+ * Offline checks for test/api/helpers/solanaAddress.js, solanaDerivation.js and addressSets.js, so generated,
+ * deliberately invalid and data-driven addresses used by the API specs are what they claim to be.
+ */
+describe('Solana Address Test Data', () => {
+    const KNOWN_ADDRESSES = [
+        '96Y3j66AX16noUAAVriW8bmwTGzV1PVqBKCEArPd5fuU',
+        '7eXxD3vQww9cgBgD3gb7iqTriAzAmCBXFBMpdDi71P3i'
+    ];
+
+    describe('Validation', () => {
+        KNOWN_ADDRESSES.forEach((address) => {
+            it(`accepts ${address.substring(0, 8)}... and round-trips it through base58`, () => {
+                expect(solanaAddress.isValidAddress(address)).to.be.true;
+                expect(solanaAddress.isOnCurve(address)).to.be.true;
+                expect(solanaAddress.encodeBase58(solanaAddress.decodeBase58(address))).to.equal(address);
+            });
+        });
+
+        it('rejects every invalid variant', () => {
+            const variants = solanaAddress.invalidVariants(KNOWN_ADDRESSES[0]);
+            variants.forEach(({ value, description }) => {
+                expect(solanaAddress.isValidAddress(value), description).to.be.false;
+            });
+            logger.verify(`${variants.length} invalid variants rejected`);
+        });
+
+        it('rejects non-string values', () => {
+            [null, undefined, 42, {}, []].forEach(value => {
+                expect(solanaAddress.isValidAddress(value), String(value)).to.be.false;
+            });
+        });
+    });
+
+    describe('Generation', () => {
+        it('generates keypairs whose secret key signs for the address', () => {
+            const { address, publicKey, secretKey } = solanaAddress.generateKeypair();
+            expect(solanaAddress.isValidAddress(address)).to.be.true;
+            expect(solanaAddress.isOnCurve(address)).to.be.true;
+            expect(secretKey).to.have.length(64);
+            expect(secretKey.subarray(32).equals(publicKey)).to.be.true;
+
+            const privateKey = crypto.createPrivateKey({
+                key: { kty: 'OKP', crv: 'Ed25519', d: secretKey.subarray(0, 32).toString('base64url'), x: publicKey.toString('base64url') },
+                format: 'jwk'
+            });
+            const message = Buffer.from('solflare');
+            const signature = crypto.sign(null, message, privateKey);
+            expect(crypto.verify(null, message, crypto.createPublicKey(privateKey), signature)).to.be.true;
+        });
+
+        it('generates well-formed off-curve addresses', () => {
+            const address = solanaAddress.offCurveAddress();
+            expect(solanaAddress.isValidAddress(address)).to.be.true;
+            expect(solanaAddress.isOnCurve(address)).to.be.false;
+        });
+    });
+
+    describe('Balances "1" prefix', () => {
+        it('prefixes and parses balances pubkeys', () => {
+            const pubkey = solanaAddress.toBalancesPubkey(KNOWN_ADDRESSES[0]);
+            expect(pubkey).to.equal(`1${KNOWN_ADDRESSES[0]}`);
+            expect(solanaAddress.fromBalancesPubkey(pubkey)).to.equal(KNOWN_ADDRESSES[0]);
+        });
+
+        it('returns null for unprefixed or invalid pubkeys', () => {
+            expect(solanaAddress.fromBalancesPubkey(KNOWN_ADDRESSES[0])).to.be.null;
+            expect(solanaAddress.fromBalancesPubkey('1invalid')).to.be.null;
+            expect(solanaAddress.fromBalancesPubkey(42)).to.be.null;
+        });
+    });
+
+    describe('Derivation oracle', () => {
+        const ABANDON_MNEMONIC = `${'abandon '.repeat(11)}about`;
+
+        it('derives the BIP39 seed (test vector with passphrase TREZOR)', () => {
+            expect(solanaDerivation.mnemonicToSeed(ABANDON_MNEMONIC, 'TREZOR').toString('hex')).to.equal(
+                'c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e53495531f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04'
+            );
+        });
+
+        // SLIP-0010 ed25519 test vector 1
+        [
+            {
+                path: 'm',
+                key: '2b4be7f19ee27bbf30c667b642d5f4aa69fd169872f8fc3059c08ebae2eb19e7',
+                publicKey: 'a4b2856bfec510abab89753fac1ac0e1112364e7d250545963f135f2a33188ed'
+            },
+            {
+                path: "m/0'",
+                key: '68e0fe46dfb67e368c75379acec591dad19df3cde26e63b93a8e704f1dade7a3',
+                publicKey: '8c8a13df77a28f3445213a0f432fde644acaa215fc72dcdf300d5efaa85d350c'
+            }
+        ].forEach(({ path: derivationPath, key, publicKey }) => {
+            it(`derives SLIP-0010 ed25519 keys at ${derivationPath}`, () => {
+                const seed = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex');
+                const derived = solanaDerivation.derivePrivateKey(seed, derivationPath);
+                expect(derived.key.toString('hex')).to.equal(key);
+                expect(solanaDerivation.publicKeyOf(derived.key).toString('hex')).to.equal(publicKey);
+            });
+        });
+
+        it("derives the known Solana address at m/44'/501'/0'/0'", () => {
+            const [first] = solanaDerivation.deriveAddresses(ABANDON_MNEMONIC.split(' '), 1);
+            expect(first).to.equal('HAgk14JpMQLgt6rVgv7cBQFJWFto5Dqxi472uT3DKpqk');
+        });
+
+        it('derives distinct accounts and signs for the derived address', () => {
+            const addresses = solanaDerivation.deriveAddresses(ABANDON_MNEMONIC, 4);
+            expect(new Set(addresses).size).to.equal(4);
+            addresses.forEach(address => expect(solanaAddress.isOnCurve(address), address).to.be.true);
+
+            const { address, secretKey } = solanaDerivation.deriveKeypair(ABANDON_MNEMONIC, solanaDerivation.accountPath(2));
+            expect(address).to.equal(addresses[2]);
+            const privateKey = crypto.createPrivateKey({
+                key: { kty: 'OKP', crv: 'Ed25519', d: secretKey.subarray(0, 32).toString('base64url'), x: secretKey.subarray(32).toString('base64url') },
+                format: 'jwk'
+            });
+            const message = Buffer.from('solflare');
+            const publicKey = crypto.createPublicKey({
+                key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(solanaAddress.decodeBase58(address)).toString('base64url') },
+                format: 'jwk'
+            });
+            expect(crypto.verify(null, message, publicKey, crypto.sign(null, message, privateKey))).to.be.true;
+        });
+
+        it('uses different addresses on the other standard paths', () => {
+            const addresses = Object.values(solanaDerivation.DERIVATION_PATHS)
+                .map(template => solanaDerivation.deriveAddresses(ABANDON_MNEMONIC, 1, template)[0]);
+            expect(new Set(addresses).size).to.equal(addresses.length);
+        });
+
+        it('rejects non-hardened paths', () => {
+            expect(() => solanaDerivation.parsePath("m/44'/501'/0")).to.throw(/hardened segments only/);
+            expect(() => solanaDerivation.parsePath("44'/501'")).to.throw(/start with "m"/);
+        });
+
+        it('matches full and shortened displayed addresses', () => {
+            const address = 'HAgk14JpMQLgt6rVgv7cBQFJWFto5Dqxi472uT3DKpqk';
+            expect(solanaDerivation.matchesDisplayedAddress(address, address)).to.be.true;
+            expect(solanaDerivation.matchesDisplayedAddress('HAgk...Kpqk', address)).to.be.true;
+            expect(solanaDerivation.matchesDisplayedAddress('HAgk…Kpqk', address)).to.be.true;
+            expect(solanaDerivation.matchesDisplayedAddress('HAgk...Kpqx', address)).to.be.false;
+            expect(solanaDerivation.matchesDisplayedAddress('...', address)).to.be.false;
+            expect(solanaDerivation.matchesDisplayedAddress(null, address)).to.be.false;
+        });
+    });
+
+    describe('Address sets', () => {
+        const SETS_DIR = path.join(__dirname, '..', 'address-sets');
+        const tempDirs = [];
+        const writeSet = (name, content) => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'address-set-'));
+            tempDirs.push(dir);
+            const file = path.join(dir, name);
+            fs.writeFileSync(file, content);
+            return file;
+        };
+
+        after(() => {
+            tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+        });
+
+        fs.readdirSync(SETS_DIR).forEach((file) => {
+            it(`loads ${file}`, () => {
+                const set = addressSets.loadAddressSet(path.join(SETS_DIR, file));
+                expect(set.entries).to.not.be.empty;
+                logger.verify(`${set.name}: ${set.entries.length} entries`);
+            });
+        });
+
+        it('filters entries by tag', () => {
+            const entries = addressSets.selectAddresses({ set: 'mock', tags: ['empty', 'whale'] });
+            expect(entries.map(e => e.tags).flat()).to.include.members(['empty', 'whale']);
+            entries.forEach(entry => expect(entry.tags.some(tag => ['empty', 'whale'].includes(tag))).to.be.true);
+        });
+
+        it('skips empty wallets for the primary address', () => {
+            expect(addressSets.primaryAddress('default')).to.equal(KNOWN_ADDRESSES[0]);
+        });
+
+        it('rejects unknown sets, invalid addresses and unknown expectations', () => {
+            expect(() => addressSets.loadAddressSet('does-not-exist')).to.throw('Unknown address set');
+            expect(() => addressSets.loadAddressSet(writeSet('bad.yaml', 'addresses:\n  - address: invalid\n')))
+                .to.throw('invalid address');
+            expect(() => addressSets.loadAddressSet(writeSet('bad.json', JSON.stringify({
+                addresses: [{ address: KNOWN_ADDRESSES[0], expect: { minTokenz: 1 } }]
+            })))).to.throw('unknown expectation(s) minTokenz');
+        });
+    });
+});
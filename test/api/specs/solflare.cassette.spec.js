@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const logger = require('../../../utils/logger');
+const SolflareApiClient = require('../clients/SolflareApiClient');
+const Cassette = require('../clients/Cassette');
+const MockSolflareServer = require('../mock/MockSolflareServer');
+const { REDACTED } = require('../../../utils/redact');
+
+/**
+ * Solflare API – Cassette Record & Replay Tests
+ *
+ * Records against a dedicated mock server into a temporary directory, then
+ * replays with the server stopped, so replay provably never touches the network.
+ */
+describe('Solflare API - Cassette Record & Replay', () => {
+    const ADDRESS = '96Y3j66AX16noUAAVriW8bmwTGzV1PVqBKCEArPd5fuU';
+    const CASSETTE = 'cassette-roundtrip';
+
+    const mockServer = new MockSolflareServer();
+    let baseUrl;
+    let cassetteDir;
+    let recorded;
+
+    before(async () => {
+        baseUrl = await mockServer.start();
+        cassetteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'solflare-cassettes-'));
+
+        const recorder = new SolflareApiClient({ baseUrl, cassette: CASSETTE, cassetteMode: 'record', cassetteDir });
+        recorded = {
+            portfolio: await recorder.makePortfolioRequest(ADDRESS),
+            balances: await recorder.makeBalancesRequest({ pubkeys: [`1${ADDRESS}`], currency: 'usd' })
+        };
+        await mockServer.stop();
+    });
+
+    after(() => {
+        fs.rmSync(cassetteDir, { recursive: true, force: true });
+    });
+
+    const createReplayClient = () => new SolflareApiClient({ baseUrl, cassette: CASSETTE, cassetteMode: 'replay', cassetteDir });
+
+    /**
+     * Recording
+     *
+     * Expected Results:
+     * - One entry per distinct request, written to <cassetteDir>/<name>.json
+     * - The Authorization header is stored as [REDACTED], never as the Bearer token
+     */
+    describe('Recording', () => {
+        it('writes one entry per request', () => {
+            const { entries } = JSON.parse(fs.readFileSync(path.join(cassetteDir, `${CASSETTE}.json`), 'utf8'));
+
+            expect(Object.keys(entries)).to.have.members([
+                Cassette.key(recorded.portfolio.request),
+                Cassette.key(recorded.balances.request)
+            ]);
+            logger.verify(`${Object.keys(entries).length} entries recorded`);
+        });
+
+        it('stores the Authorization header redacted', () => {
+            const text = fs.readFileSync(path.join(cassetteDir, `${CASSETTE}.json`), 'utf8');
+
+            Object.values(JSON.parse(text).entries).forEach(({ request }) => {
+                expect(request.headers.Authorization).to.equal(REDACTED);
+            });
+            expect(text).to.not.match(/Bearer /);
+            logger.verify('Authorization header redacted in every entry');
+        });
+    });
+
+    /**
+     * Replay
+     *
+     * Expected Results:
+     * - Recorded requests are served from the cassette with the mock server stopped
+     * - Status and body equal the recorded response, in a single attempt
+     * - A request missing from the cassette throws instead of reaching the network
+     */
+    describe('Replay', () => {
+        it('serves recorded responses with the server stopped', async () => {
+            const api = createReplayClient();
+
+            const portfolio = await api.makePortfolioRequest(ADDRESS);
+            const balances = await api.makeBalancesRequest({ pubkeys: [`1${ADDRESS}`], currency: 'usd' });
+
+            expect(portfolio.status).to.equal(recorded.portfolio.status);
+            expect(portfolio.body).to.deep.equal(recorded.portfolio.body);
+            expect(portfolio.attempts).to.equal(1);
+            expect(balances.status).to.equal(recorded.balances.status);
+            expect(balances.body).to.deep.equal(recorded.balances.body);
+            logger.verify('Replayed responses match the recording');
+        });
+
+        it('matches request bodies regardless of key order', async () => {
+            const balances = await createReplayClient().makeBalancesRequest({ currency: 'usd', pubkeys: [`1${ADDRESS}`] });
+
+            expect(balances.body).to.deep.equal(recorded.balances.body);
+        });
+
+        it('throws for a request missing from the cassette', async () => {
+            const api = createReplayClient();
+
+            let error;
+            try {
+                await api.makePortfolioRequest(ADDRESS, { params: { network: 'devnet' } });
+            } catch (caught) {
+                error = caught;
+            }
+
+            expect(error, 'unknown request should throw').to.be.instanceOf(Error);
+            expect(error.message).to.include(`Cassette ${CASSETTE} has no entry for`);
+            logger.verify('Unknown request rejected in replay mode');
+        });
+
+        it('throws when the cassette has not been recorded', () => {
+            expect(() => new Cassette('never-recorded', { mode: 'replay', dir: cassetteDir }))
+                .to.throw(/Cassette not found: .*Record it first/);
+        });
+    });
+});
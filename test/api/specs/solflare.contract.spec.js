@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const logger = require('../../../utils/logger');
+const SolflareApiClient = require('../clients/SolflareApiClient');
+const PortfolioValidator = require('../helpers/PortfolioValidator');
+const { generatePortfolio } = require('../helpers/portfolioGenerator');
+const { selectAddresses } = require('../helpers/addressSets');
+
+/**
+ * Solflare API – Contract Tests
+ *
+ * Validates response payloads against the versioned JSON Schemas in test/api/schemas:
+ * - portfolio.v3 for GET /v3/portfolio/tokens/:address
+ * - balances.v2 for POST /v2/portfolio/balances
+ *
+ * Runs against the live API (or the mock when SOLFLARE_API_MOCK=true) and the fixture files,
+ * so a renamed or dropped field fails here instead of silently counting as 0 in PortfolioValidator.
+ */
+describe('Solflare API - Contract Validation', () => {
+    const ADDRESSES = selectAddresses().map(entry => entry.address);
+    const PORTFOLIO_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'portfolios');
+    const GENERATED_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'generated');
+
+    let validator;
+
+    before(() => {
+        validator = new PortfolioValidator(0.01);
+    });
+
+    /**
+     * Live API Contract
+     *
+     * Expected Results:
+     * - Every portfolio response matches portfolio.v3
+     * - The balances response matches balances.v2
+     */
+    describe('Live API', () => {
+        let api;
+
+        before(() => {
+            api = new SolflareApiClient();
+        });
+
+        ADDRESSES.forEach((address) => {
+            it(`portfolio for ${address.substring(0, 8)}... matches portfolio.v3`, async () => {
+                const testName = `Contract - Portfolio ${address.substring(0, 8)}...`;
+                logger.testStart(testName);
+
+                const portfolio = await api.getPortfolio(address);
+                validator.assertSchema(portfolio, 'portfolio.v3', 'Portfolio');
+
+                logger.testEnd(testName, true);
+            });
+        });
+
+        it('balances for all wallets match balances.v2', async () => {
+            const testName = 'Contract - Balances';
+            logger.testStart(testName);
+
+            const balances = await api.getBalances(ADDRESSES);
+            validator.assertSchema(balances, 'balances.v2', 'Balances');
+
+            logger.testEnd(testName, true);
+        });
+    });
+
+    /**
+     * Fixture Contract
+     *
+     * Expected Results:
+     * - Every portfolio fixture matches portfolio.v3, so the mock never serves a shape the API would not
+     * - So does every generated portfolio
+     * - Mock balances responses match balances.v2
+     * - A dropped field is reported with its JSON path
+     */
+    describe('Fixtures', () => {
+        const fixtureFiles = fs.readdirSync(PORTFOLIO_FIXTURES_DIR).filter(file => file.endsWith('.json'));
+        const loadFixture = file => JSON.parse(fs.readFileSync(path.join(PORTFOLIO_FIXTURES_DIR, file), 'utf8'));
+
+        fixtureFiles.forEach((file) => {
+            it(`fixture ${file} matches portfolio.v3`, () => {
+                validator.assertSchema(loadFixture(file), 'portfolio.v3', file);
+            });
+        });
+
+        fs.readdirSync(GENERATED_FIXTURES_DIR).filter(file => file.endsWith('.json')).forEach((file) => {
+            it(`generated fixture ${file} matches portfolio.v3`, () => {
+                const options = JSON.parse(fs.readFileSync(path.join(GENERATED_FIXTURES_DIR, file), 'utf8'));
+                validator.assertSchema(generatePortfolio(options), 'portfolio.v3', file);
+            });
+        });
+
+        it('mock balances response matches balances.v2', async () => {
+            const mockApi = new SolflareApiClient({ mock: true });
+            const balances = await mockApi.getBalances(ADDRESSES);
+            validator.assertSchema(balances, 'balances.v2', 'Mock Balances');
+        });
+
+        it('reports a renamed price field with its JSON path', () => {
+            const portfolio = loadFixture(fixtureFiles[0]);
+            portfolio.tokens[0].price = { priceUsd: portfolio.tokens[0].price.usdPrice };
+            delete portfolio.tokens[1].decimals;
+
+            const violations = PortfolioValidator.validateSchema(portfolio, 'portfolio.v3');
+
+            expect(violations).to.deep.include({ path: '$.tokens[0].price.usdPrice', message: 'is required' });
+            expect(violations).to.deep.include({ path: '$.tokens[1].decimals', message: 'is required' });
+            logger.verify(`Violations reported: ${violations.map(v => v.path).join(', ')}`);
+        });
+    });
+});
@@ -0,0 +1,169 @@
+const { expect } = require('chai');
+const logger = require('../../../utils/logger');
+const SolflareApiClient = require('../clients/SolflareApiClient');
+const MockSolflareServer = require('../mock/MockSolflareServer');
+const PortfolioValidator = require('../helpers/PortfolioValidator');
+const { randomAddress } = require('../helpers/solanaAddress');
+
+/**
+ * Solflare API – Empty Wallet & Edge Value Tests
+ *
+ * Runs against a dedicated mock server, so the edge-case fixtures in
+ * test/api/fixtures/portfolios/ are served deterministically regardless of SOLFLARE_API_MOCK.
+ *
+ * For every wallet:
+ * - value, tokensValue and stocksValue are objects with a finite, non-negative total
+ * - value.total equals tokensValue.total + stocksValue.total
+ * - PortfolioValidator.tokenValue and reconcileTokens never produce NaN
+ */
+describe('Solflare API - Empty Wallets & Edge Values', () => {
+    const EDGE_WALLETS = {
+        nullPrices: 'FZbRKFw4noMUuBru4eZokABkuaYrXTa9ieUDzwrZjj4g',
+        zeroAmounts: 'CqyrvKGEfPMgyMW6akqdf4BEm7qEoWSb57TZnHmJ9Qu7',
+        stocksOnly: 'D8y684gk25nnAsvetBCsKmJhkvRBcNytYci52FJNES4Y'
+    };
+
+    const mockServer = new MockSolflareServer();
+    let api, validator;
+
+    before(async () => {
+        api = new SolflareApiClient({ baseUrl: await mockServer.start(), retry: false });
+        validator = new PortfolioValidator(0.01);
+    });
+
+    after(async () => {
+        await mockServer.stop();
+    });
+
+    /**
+     * Assert the value/tokensValue/stocksValue structure and NaN-free token math
+     * @returns {object} The reconciliation report of the portfolio's tokens
+     */
+    function assertWellFormed(portfolio, label) {
+        ['value', 'tokensValue', 'stocksValue'].forEach(field => {
+            expect(portfolio, label).to.have.property(field).that.is.an('object');
+            expect(portfolio[field].total, `${label} ${field}.total`).to.be.a('number').and.to.be.at.least(0);
+            expect(Number.isFinite(portfolio[field].total), `${label} ${field}.total is finite`).to.be.true;
+        });
+        validator.assertMatch(portfolio.value.total, portfolio.tokensValue.total + portfolio.stocksValue.total, `${label} Combined Total`);
+
+        const tokenValue = PortfolioValidator.tokenValue(portfolio.tokens);
+        expect(Number.isNaN(tokenValue), `${label} tokenValue is NaN`).to.be.false;
+
+        const report = PortfolioValidator.reconcileTokens(portfolio.tokens, portfolio.tokensValue.total);
+        report.tokens.forEach(row => {
+            expect(Number.isNaN(row.computedValue), `${label} ${row.symbol || row.mint} computedValue is NaN`).to.be.false;
+        });
+        expect(Number.isNaN(report.difference), `${label} difference is NaN`).to.be.false;
+        return report;
+    }
+
+    /**
+     * Scenario 1: Freshly Generated Address
+     *
+     * Expected Results:
+     * - Portfolio has no tokens and every total is 0
+     * - Balances report a net worth of 0 with one wallet entry
+     */
+    describe('Scenario 1: Fresh address with zero balance', () => {
+        it('returns an empty, well-formed portfolio', async () => {
+            const testName = 'Edge Values - Fresh address';
+            logger.testStart(testName);
+
+            const address = randomAddress();
+            logger.info(`   📝 Address: ${address}`);
+            const portfolio = await api.getPortfolio(address);
+
+            assertWellFormed(portfolio, 'Fresh Address');
+            expect(portfolio.tokens).to.be.an('array').that.is.empty;
+            expect(portfolio.value.total).to.equal(0);
+            expect(PortfolioValidator.tokenValue(portfolio.tokens)).to.equal(0);
+
+            const balances = await api.getBalances([address]);
+            expect(balances.netWorth).to.equal(0);
+            expect(balances.data).to.have.length(1);
+            logger.verify('Fresh address is empty with zero net worth');
+
+            logger.testEnd(testName, true);
+        });
+    });
+
+    /**
+     * Scenario 2: Tokens Without a Price
+     *
+     * Expected Results:
+     * - price: null and usdPrice: null count as 0, not NaN
+     * - Unpriced tokens are listed as missing a price in the reconciliation
+     * - Token total equals the priced tokens only
+     */
+    describe('Scenario 2: Null prices', () => {
+        it('values unpriced tokens at 0', async () => {
+            const testName = 'Edge Values - Null prices';
+            logger.testStart(testName);
+
+            const portfolio = await api.getPortfolio(EDGE_WALLETS.nullPrices);
+            const report = assertWellFormed(portfolio, 'Null Prices');
+
+            expect(report.missingPrice.map(row => row.mint)).to.have.members(
+                portfolio.tokens.filter(t => t.price?.usdPrice == null).map(t => t.mint)
+            );
+            validator.assertTokenTotal(portfolio.tokens, portfolio.tokensValue.total, 'Null Prices Token Total');
+            logger.verify(`${report.missingPrice.length} unpriced tokens valued at 0`);
+
+            logger.testEnd(testName, true);
+        });
+    });
+
+    /**
+     * Scenario 3: Zero Amounts
+     *
+     * Expected Results:
+     * - Tokens with totalUiAmount 0 contribute 0 and are reported as dust
+     * - Token total equals the non-zero holdings only
+     */
+    describe('Scenario 3: Zero totalUiAmount', () => {
+        it('values zero-amount tokens at 0', async () => {
+            const testName = 'Edge Values - Zero amounts';
+            logger.testStart(testName);
+
+            const portfolio = await api.getPortfolio(EDGE_WALLETS.zeroAmounts);
+            const report = assertWellFormed(portfolio, 'Zero Amounts');
+
+            expect(report.dust).to.have.length(portfolio.tokens.filter(t => t.totalUiAmount === 0).length).and.to.not.be.empty;
+            report.dust.forEach(row => expect(row.computedValue).to.equal(0));
+            validator.assertTokenTotal(portfolio.tokens, portfolio.tokensValue.total, 'Zero Amounts Token Total');
+            logger.verify(`${report.dust.length} zero-amount tokens valued at 0`);
+
+            logger.testEnd(testName, true);
+        });
+    });
+
+    /**
+     * Scenario 4: Stocks Without Other Tokens
+     *
+     * Expected Results:
+     * - tokensValue.total is 0
+     * - value.total comes entirely from stocksValue.total
+     * - The tokens listed add up to value.total
+     * - Balances count the stocks in the wallet's value
+     */
+    describe('Scenario 4: Stocks but no tokens', () => {
+        it('takes the whole value from stocks', async () => {
+            const testName = 'Edge Values - Stocks only';
+            logger.testStart(testName);
+
+            const portfolio = await api.getPortfolio(EDGE_WALLETS.stocksOnly);
+            assertWellFormed(portfolio, 'Stocks Only');
+
+            expect(portfolio.tokensValue.total).to.equal(0);
+            expect(portfolio.stocksValue.total).to.be.above(0);
+            validator.assertTokenTotal(portfolio.tokens, portfolio.value.total, 'Stocks Only Token Total');
+
+            const balances = await api.getBalances([EDGE_WALLETS.stocksOnly]);
+            validator.assertMatch(balances.netWorth, portfolio.value.total, 'Stocks Only Net Worth');
+            logger.verify('Stocks-only wallet valued from stocksValue');
+
+            logger.testEnd(testName, true);
+        });
+    });
+});
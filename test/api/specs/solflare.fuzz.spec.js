@@ -0,0 +1,121 @@
+const { expect } = require('chai');
+const logger = require('../../../utils/logger');
+const SolflareApiClient = require('../clients/SolflareApiClient');
+const BalancesFuzzer = require('../helpers/BalancesFuzzer');
+const { toBalancesPubkey } = require('../helpers/solanaAddress');
+
+/**
+ * Solflare API – Balances Body Fuzzing
+ *
+ * Property-based companion to the hand-picked "Malformed Request Bodies" cases:
+ * mutates a known-good POST /v2/portfolio/balances body (wrong types, nulls,
+ * missing and extra keys, unicode, huge and duplicate pubkeys, bad prefixes)
+ * and checks that:
+ * - the server never answers 5xx
+ * - a 2xx always carries a finite netWorth equal to the sum of data[].value
+ *
+ * Failing bodies are shrunk and saved to test/api/fixtures/fuzz/balances/ - commit them
+ * with the fix. Every saved fixture is replayed as a regression test against whichever
+ * API the run targets, live included.
+ *
+ * Generated bodies are sent to the mock (SOLFLARE_API_MOCK=true) or, opt-in, the live API with SOLFLARE_FUZZ=true.
+ * The seed is fixed by default; explore with SOLFLARE_FUZZ_SEED=<seed> and SOLFLARE_FUZZ_RUNS=<n>.
+ */
+describe('Solflare API - Balances Body Fuzzing', () => {
+    const BASE_BODY = {
+        pubkeys: [
+            '96Y3j66AX16noUAAVriW8bmwTGzV1PVqBKCEArPd5fuU',
+            '7eXxD3vQww9cgBgD3gb7iqTriAzAmCBXFBMpdDi71P3i'
+        ].map(toBalancesPubkey),
+        currency: 'usd',
+        general: true,
+        network: 'mainnet'
+    };
+
+    let api;
+    let fuzzer;
+
+    before(() => {
+        api = new SolflareApiClient({ retry: false });
+        fuzzer = new BalancesFuzzer(api, { baseBody: BASE_BODY });
+    });
+
+    /**
+     * Regression Fixtures
+     *
+     * Expected Results:
+     * - Every previously shrunk failure now satisfies the properties
+     */
+    describe('Regression fixtures', () => {
+        BalancesFuzzer.loadRegressions().forEach(({ file, failure, body }) => {
+            it(`${file} no longer fails (${failure.kind})`, async () => {
+                const result = await fuzzer.check(body);
+                expect(result, `${file}: ${result?.message}`).to.be.null;
+            });
+        });
+    });
+
+    /**
+     * Generated Bodies
+     *
+     * Expected Results:
+     * - The known-good body satisfies the properties
+     * - No generated body breaks them; failures are listed with their fixture file
+     */
+    describe('Generated bodies', () => {
+        before(function () {
+            // Hundreds of malformed requests - never against the live API unless asked for
+            if (process.env.SOLFLARE_API_MOCK !== 'true' && process.env.SOLFLARE_FUZZ !== 'true') {
+                this.skip();
+            }
+        });
+
+        it('known-good body satisfies the properties', async () => {
+            expect(await fuzzer.check(BASE_BODY)).to.be.null;
+        });
+
+        [42, true, 'pubkeys', null].forEach(body => {
+            it(`sends the non-object body ${JSON.stringify(body)} as JSON`, async () => {
+                const response = await api.makeBalancesRequest(body, { retries: 0 });
+                expect(response.status).to.be.within(400, 499);
+            });
+        });
+
+        it('never answers 5xx or an inconsistent netWorth', async function () {
+            this.timeout(fuzzer.runs * 5000);
+            const testName = 'Fuzzing - Balances body';
+            logger.testStart(testName);
+
+            const findings = await fuzzer.run();
+
+            const summary = findings.map(f => `${f.failure.message} -> ${f.file}`).join('\n');
+            expect(findings, `Fuzzing found ${findings.length} failure(s) (seed ${fuzzer.seed}):\n${summary}`).to.be.empty;
+            logger.verify(`${fuzzer.runs} generated bodies satisfied the properties`);
+
+            logger.testEnd(testName, true);
+        });
+    });
+
+    /**
+     * Shrinking
+     *
+     * Expected Results:
+     * - A large failing body shrinks to the smallest body that still fails
+     */
+    describe('Shrinking', () => {
+        it('shrinks a failing body to a minimal reproduction', async () => {
+            const body = {
+                ...BASE_BODY,
+                pubkeys: [...Array(300).fill(BASE_BODY.pubkeys[0]), 42, BASE_BODY.pubkeys[1]],
+                extra: { nested: ['a', 'b'] }
+            };
+            const hasNumericPubkey = async candidate => Array.isArray(candidate?.pubkeys)
+                && candidate.pubkeys.some(key => typeof key === 'number');
+
+            const shrunk = await BalancesFuzzer.shrink(body, hasNumericPubkey, 500);
+
+            expect(shrunk).to.deep.equal({ pubkeys: [0] });
+            logger.verify(`Shrunk to ${JSON.stringify(shrunk)}`);
+        });
+    });
+});
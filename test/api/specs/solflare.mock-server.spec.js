@@ -0,0 +1,58 @@
+const logger = require('../../../utils/logger');
+const SolflareApiClient = require('../clients/SolflareApiClient');
+const MockSolflareServer = require('../mock/MockSolflareServer');
+const { expectApiError } = require('../helpers/apiAssertions');
+
+/**
+ * Solflare API – Mock Server Validation Tests
+ *
+ * Checks of the local mock's own request validation (test/api/mock/MockSolflareServer.js),
+ * so the offline suite rejects what the real API rejects. Runs against a dedicated
+ * mock server, never against the live API.
+ */
+describe('Solflare API - Mock Server Validation', () => {
+    const ADDRESS = '96Y3j66AX16noUAAVriW8bmwTGzV1PVqBKCEArPd5fuU';
+
+    const mockServer = new MockSolflareServer();
+    let unvalidatedApi;
+
+    before(async () => {
+        // Skips client-side currency checks so the mock sees the raw value
+        unvalidatedApi = new SolflareApiClient({ baseUrl: await mockServer.start(), validateParams: false, retry: false });
+    });
+
+    after(async () => {
+        await mockServer.stop();
+    });
+
+    /**
+     * Currency Lookup
+     *
+     * Expected Results:
+     * - Object property names are not mistaken for currencies in the rates table
+     */
+    describe('Currency lookup', () => {
+        ['constructor', 'toString', '__proto__'].forEach((currency) => {
+            it(`should reject the object property name "${currency}" as a currency`, async () => {
+                const testName = `Mock Server - Currency "${currency}"`;
+                logger.testStart(testName);
+
+                /**
+                 * Expected Result:
+                 * ✓ Error should be thrown (400 Bad Request)
+                 * ✓ Only own keys of the rates table count as currencies
+                 */
+                logger.section('💱 Testing Object Property Name as Currency');
+                logger.info(`   📝 Currency: "${currency}"`);
+
+                await expectApiError(unvalidatedApi.getBalances([ADDRESS], currency))
+                    .withStatus(400)
+                    .withCategory('client')
+                    .withEndpoint('/v2/portfolio/balances');
+                logger.verify(`Currency "${currency}" rejected`);
+
+                logger.testEnd(testName, true);
+            });
+        });
+    });
+});
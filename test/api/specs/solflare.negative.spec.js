@@ -1,6 +1,9 @@
 const { expect } = require('chai');
 const logger = require('../../../utils/logger');
 const SolflareApiClient = require('../clients/SolflareApiClient');
+const { expectApiError } = require('../helpers/apiAssertions');
+const { invalidVariants, randomAddress, offCurveAddress, isOnCurve } = require('../helpers/solanaAddress');
+const { primaryAddress } = require('../helpers/addressSets');
 
 /**
  * Solflare API – Negative & Edge Case Tests
@@ -15,11 +18,15 @@ const SolflareApiClient = require('../clients/SolflareApiClient');
  * - Correct data validation
  */
 describe('Solflare API - Negative & Edge Cases', () => {
-    const VALID_ADDRESS = '96Y3j66AX16noUAAVriW8bmwTGzV1PVqBKCEArPd5fuU';
-    let api;
+    // First funded wallet of the selected address set
+    const VALID_ADDRESS = primaryAddress();
+    let api, unvalidatedApi;
 
     before(() => {
-        api = new SolflareApiClient();
+        // Retries off so every case sees the API's first answer
+        api = new SolflareApiClient({ retry: false });
+        // Skips client-side address/network/currency checks so invalid values reach the API
+        unvalidatedApi = new SolflareApiClient({ validateParams: false, retry: false });
     });
 
     /**
@@ -121,10 +128,12 @@ describe('Solflare API - Negative & Edge Cases', () => {
             { value: '123', description: 'numeric only' },
             { value: 'zzz999xxxInvalidAddressFormat!!!', description: 'malformed address' },
             { value: 'a'.repeat(100), description: 'too long address' },
-            { value: '96Y3j66AX16noUAAVriW8bmwTGzV1PVqBKCEArPd5fu', description: 'missing one character' },
+            // Dropping only one character still decodes to 32 bytes (a different, valid key), so drop two
+            { value: '96Y3j66AX16noUAAVriW8bmwTGzV1PVqBKCEArPd5f', description: 'missing two characters' },
             { value: '96Y3j66AX16noUAAVriW8bmwTGzV1PVqBKCEArPd5fuUU', description: 'extra character' },
             { value: null, description: 'null value' },
-            { value: undefined, description: 'undefined value' }
+            { value: undefined, description: 'undefined value' },
+            ...invalidVariants(VALID_ADDRESS)
         ];
 
         invalidAddresses.forEach(({ value, description }) => {
@@ -134,30 +143,42 @@ describe('Solflare API - Negative & Edge Cases', () => {
 
                 /**
                  * Expected Result:
-                 * ✓ Error should be thrown
-                 * ✓ Error should have status code (4xx expected)
+                 * ✓ ApiError should be thrown
+                 * ✓ Error category is 'client' (4xx status)
                  * ✓ Should NOT hang or timeout
                  * ✓ Error message should be descriptive
                  */
-                try {
-                    logger.section(`❌ Testing Invalid Address: ${description}`);
-                    logger.info(`   📝 Value: "${value}"`);
-                    
-                    await api.getPortfolio(value);
-                    expect.fail('Should have thrown an error');
-                } catch (error) {
-                    const statusCode = error.response?.status || 'N/A';
-                    logger.info(`   ✅ Expected error caught`);
-                    logger.info(`   📊 Status: ${statusCode}`);
-                    logger.info(`   💬 Message: ${error.message}`);
-                    logger.verify('Invalid address properly rejected');
-                    
-                    expect(error).to.exist;
-                    logger.testEnd(testName, true);
-                }
+                logger.section(`❌ Testing Invalid Address: ${description}`);
+                logger.info(`   📝 Value: "${value}"`);
+
+                await expectApiError(unvalidatedApi.getPortfolio(value))
+                    .withCategory('client')
+                    .withEndpoint('/v3/portfolio/tokens/:address');
+                logger.verify('Invalid address properly rejected');
+
+                logger.testEnd(testName, true);
             });
         });
 
+        it('should reject invalid addresses in the client before sending', async () => {
+            const testName = 'Invalid Address - Client-side validation';
+            logger.testStart(testName);
+
+            /**
+             * Expected Result:
+             * ✓ ApiError with category 'validation' and no HTTP status for every invalid address
+             * ✓ getBalances rejects the whole batch when one address is invalid
+             */
+            for (const { value, description } of invalidAddresses) {
+                const error = await expectApiError(api.getPortfolio(value)).withCategory('validation');
+                expect(error.status, description).to.be.null;
+            }
+            await expectApiError(api.getBalances([VALID_ADDRESS, 'invalid'])).withCategory('validation');
+            logger.verify(`${invalidAddresses.length} invalid addresses rejected by the client`);
+
+            logger.testEnd(testName, true);
+        });
+
         it('should handle invalid addresses in balances endpoint', async () => {
             const testName = 'Balances - Invalid Addresses';
             logger.testStart(testName);
@@ -166,26 +187,64 @@ describe('Solflare API - Negative & Edge Cases', () => {
 
             /**
              * Expected Result:
-             * ✓ Error should be thrown
+             * ✓ ApiError should be thrown
              * ✓ Balances endpoint should validate addresses
              * ✓ Should return 4xx status code
              * ✓ Should NOT process invalid addresses
              */
-            try {
-                logger.section('❌ Testing Balances with Invalid Addresses');
-                logger.info(`   📝 Invalid addresses: ${invalidAddresses.join(', ')}`);
-                
-                await api.getBalances(invalidAddresses);
-                expect.fail('Should have thrown an error');
-            } catch (error) {
-                const statusCode = error.response?.status || 'N/A';
-                logger.info(`   ✅ Expected error caught`);
-                logger.info(`   📊 Status: ${statusCode}`);
-                logger.verify('Invalid addresses properly rejected');
-                
-                expect(error).to.exist;
-                logger.testEnd(testName, true);
-            }
+            logger.section('❌ Testing Balances with Invalid Addresses');
+            logger.info(`   📝 Invalid addresses: ${invalidAddresses.join(', ')}`);
+
+            await expectApiError(unvalidatedApi.getBalances(invalidAddresses))
+                .withCategory('client')
+                .withEndpoint('/v2/portfolio/balances');
+            logger.verify('Invalid addresses properly rejected');
+
+            logger.testEnd(testName, true);
+        });
+    });
+
+    /**
+     * Generated Addresses Testing
+     *
+     * Objective: Verify well-formed addresses nobody has used are handled as empty wallets
+     *
+     * Expected Results:
+     * - A fresh random keypair address returns an empty portfolio and zero net worth
+     * - An off-curve address (like a program-derived address) passes client validation
+     *   and is never answered with a 5xx
+     */
+    describe('Generated Addresses', () => {
+        it('should return an empty portfolio for a fresh keypair address', async () => {
+            const testName = 'Generated Address - Fresh keypair';
+            logger.testStart(testName);
+
+            const address = randomAddress();
+            logger.info(`   📝 Address: ${address}`);
+
+            const portfolio = await api.getPortfolio(address);
+            expect(portfolio.tokens).to.be.an('array').that.is.empty;
+
+            const balances = await api.getBalances([address]);
+            expect(balances.netWorth).to.equal(0);
+            logger.verify('Fresh address has no tokens and zero net worth');
+
+            logger.testEnd(testName, true);
+        });
+
+        it('should accept an off-curve address', async () => {
+            const testName = 'Generated Address - Off-curve';
+            logger.testStart(testName);
+
+            const address = offCurveAddress();
+            logger.info(`   📝 Address: ${address} (on curve: ${isOnCurve(address)})`);
+
+            const response = await api.makePortfolioRequest(api.resolveAddress(address));
+            logger.info(`   📊 Status: ${response.status} (${response.durationMs}ms)`);
+            expect(response.status, 'should not be a server error').to.be.below(500);
+            logger.verify('Off-curve address handled without a server error');
+
+            logger.testEnd(testName, true);
         });
     });
 
@@ -222,23 +281,35 @@ describe('Solflare API - Negative & Edge Cases', () => {
                  * ✓ Error message should indicate invalid network
                  * ✓ Should NOT fall back to default network
                  */
-                try {
-                    logger.section(`🌐 Testing Invalid Network: ${description}`);
-                    logger.info(`   📝 Network value: "${value}"`);
-                    
-                    await api.getPortfolio(VALID_ADDRESS, value);
-                    expect.fail('Should have thrown an error');
-                } catch (error) {
-                    const statusCode = error.response?.status || 'N/A';
-                    logger.info(`   ✅ Expected error caught`);
-                    logger.info(`   📊 Status: ${statusCode}`);
-                    logger.verify('Invalid network parameter rejected');
-                    
-                    expect(error).to.exist;
-                    logger.testEnd(testName, true);
-                }
+                logger.section(`🌐 Testing Invalid Network: ${description}`);
+                logger.info(`   📝 Network value: "${value}"`);
+
+                await expectApiError(unvalidatedApi.getPortfolio(VALID_ADDRESS, value))
+                    .withCategory('client');
+                logger.verify('Invalid network parameter rejected');
+
+                logger.testEnd(testName, true);
             });
         });
+
+        it('should reject invalid network in the client before sending', async () => {
+            const testName = 'Invalid Network - Client-side validation';
+            logger.testStart(testName);
+
+            /**
+             * Expected Result:
+             * ✓ ApiError with category 'validation' and no HTTP status
+             * ✓ Typed client methods reject unknown networks without an HTTP call
+             * ✓ Error message lists the supported networks
+             */
+            const error = await expectApiError(api.getPortfolio(VALID_ADDRESS, 'MAINNET'))
+                .withCategory('validation')
+                .withMessageContaining(SolflareApiClient.NETWORKS.join(', '));
+            expect(error.status).to.be.null;
+            logger.verify('Invalid network rejected by the client');
+
+            logger.testEnd(testName, true);
+        });
     });
 
     /**
@@ -260,28 +331,23 @@ describe('Solflare API - Negative & Edge Cases', () => {
 
             /**
              * Expected Result:
-             * ✓ Error should be thrown (400 Bad Request)
+             * ✓ Response status is 4xx (400 Bad Request)
              * ✓ Error message indicates missing required field
              * ✓ pubkeys is a required field
              */
-            try {
-                logger.section('📦 Testing Missing Required Field: pubkeys');
-                
-                const response = await api.makeBalancesRequest({
-                    currency: 'usd',
-                    general: true,
-                    network: 'mainnet'
-                });
-                expect.fail('Should have thrown an error');
-            } catch (error) {
-                const statusCode = error.response?.status || 'N/A';
-                logger.info(`   ✅ Expected error caught`);
-                logger.info(`   📊 Status: ${statusCode}`);
-                logger.verify('Missing pubkeys rejected');
-                
-                expect(error).to.exist;
-                logger.testEnd(testName, true);
-            }
+            logger.section('📦 Testing Missing Required Field: pubkeys');
+
+            const response = await api.makeBalancesRequest({
+                currency: 'usd',
+                general: true,
+                network: 'mainnet'
+            });
+
+            logger.info(`   📊 Status: ${response.status} (${response.durationMs}ms)`);
+            expect(response.status, 'missing pubkeys should be a client error').to.be.within(400, 499);
+            logger.verify('Missing pubkeys rejected');
+
+            logger.testEnd(testName, true);
         });
 
         it('should handle empty pubkeys array', async () => {
@@ -294,21 +360,15 @@ describe('Solflare API - Negative & Edge Cases', () => {
              * ✓ Empty array should be rejected
              * ✓ At least one address should be required
              */
-            try {
-                logger.section('📦 Testing Empty pubkeys Array');
-                logger.info('   📝 Pubkeys: []');
-                
-                await api.getBalances([]);
-                expect.fail('Should have thrown an error');
-            } catch (error) {
-                const statusCode = error.response?.status || 'N/A';
-                logger.info(`   ✅ Expected error caught`);
-                logger.info(`   📊 Status: ${statusCode}`);
-                logger.verify('Empty pubkeys array rejected');
-                
-                expect(error).to.exist;
-                logger.testEnd(testName, true);
-            }
+            logger.section('📦 Testing Empty pubkeys Array');
+            logger.info('   📝 Pubkeys: []');
+
+            await expectApiError(api.getBalances([]))
+                .withCategory('client')
+                .withEndpoint('/v2/portfolio/balances');
+            logger.verify('Empty pubkeys array rejected');
+
+            logger.testEnd(testName, true);
         });
 
         it('should handle invalid currency', async () => {
@@ -321,21 +381,15 @@ describe('Solflare API - Negative & Edge Cases', () => {
              * ✓ Currency validation should reject invalid values
              * ✓ Only supported currencies should be accepted
              */
-            try {
-                logger.section('💱 Testing Invalid Currency Parameter');
-                logger.info('   📝 Currency: "invalid_currency"');
-                
-                await api.getBalances([VALID_ADDRESS], 'invalid_currency');
-                expect.fail('Should have thrown an error');
-            } catch (error) {
-                const statusCode = error.response?.status || 'N/A';
-                logger.info(`   ✅ Expected error caught`);
-                logger.info(`   📊 Status: ${statusCode}`);
-                logger.verify('Invalid currency rejected');
-                
-                expect(error).to.exist;
-                logger.testEnd(testName, true);
-            }
+            logger.section('💱 Testing Invalid Currency Parameter');
+            logger.info('   📝 Currency: "invalid_currency"');
+
+            await expectApiError(unvalidatedApi.getBalances([VALID_ADDRESS], 'invalid_currency'))
+                .withCategory('client')
+                .withEndpoint('/v2/portfolio/balances');
+            logger.verify('Invalid currency rejected');
+
+            logger.testEnd(testName, true);
         });
 
         it('should handle missing general flag', async () => {
@@ -346,34 +400,32 @@ describe('Solflare API - Negative & Edge Cases', () => {
              * Expected Result:
              * ✓ May succeed (general might be optional)
              * OR
-             * ✓ May fail with 400 if required
+             * ✓ May fail with 4xx if required
+             * ✓ Never a 5xx
              * 
              * Tests if general flag is required or has default value
              */
-            try {
-                logger.section('🚩 Testing Missing Optional Field: general');
-                
-                const response = await api.makeBalancesRequest({
-                    pubkeys: [`1${VALID_ADDRESS}`],
-                    currency: 'usd',
-                    network: 'mainnet'
-                });
-                
-                expect(response).to.have.property('netWorth');
-                logger.info('   ✅ Request succeeded without general flag');
+            logger.section('🚩 Testing Missing Optional Field: general');
+
+            const response = await api.makeBalancesRequest({
+                pubkeys: [`1${VALID_ADDRESS}`],
+                currency: 'usd',
+                network: 'mainnet'
+            });
+
+            logger.info(`   📊 Status: ${response.status} (${response.durationMs}ms)`);
+            expect(response.status, 'should not be a server error').to.be.below(500);
+
+            if (response.status < 300) {
+                expect(response.body).to.have.property('netWorth');
                 logger.info('   💡 general flag appears to be optional');
                 logger.verify('Request succeeded (general is optional)');
-                
-                logger.testEnd(testName, true);
-            } catch (error) {
-                const statusCode = error.response?.status || 'N/A';
-                logger.info(`   ✅ Expected error caught`);
-                logger.info(`   📊 Status: ${statusCode}`);
+            } else {
+                expect(response.status).to.be.within(400, 499);
                 logger.verify('general flag is required');
-                
-                expect(error).to.exist;
-                logger.testEnd(testName, true);
             }
+
+            logger.testEnd(testName, true);
         });
 
         it('should handle malformed JSON body', async () => {
@@ -382,28 +434,23 @@ describe('Solflare API - Negative & Edge Cases', () => {
 
             /**
              * Expected Result:
-             * ✓ Error should be thrown (400 Bad Request)
+             * ✓ Response status is 4xx (400 Bad Request)
              * ✓ API should reject unrecognized structure
              * ✓ Should return validation error message
              */
-            try {
-                logger.section('📦 Testing Completely Invalid Body Structure');
-                logger.info('   📝 Body: { invalid: "structure", wrong: "fields" }');
-                
-                const response = await api.makeBalancesRequest({
-                    invalid: 'structure',
-                    wrong: 'fields'
-                });
-                expect.fail('Should have thrown an error');
-            } catch (error) {
-                const statusCode = error.response?.status || 'N/A';
-                logger.info(`   ✅ Expected error caught`);
-                logger.info(`   📊 Status: ${statusCode}`);
-                logger.verify('Malformed body rejected');
-                
-                expect(error).to.exist;
-                logger.testEnd(testName, true);
-            }
+            logger.section('📦 Testing Completely Invalid Body Structure');
+            logger.info('   📝 Body: { invalid: "structure", wrong: "fields" }');
+
+            const response = await api.makeBalancesRequest({
+                invalid: 'structure',
+                wrong: 'fields'
+            });
+
+            logger.info(`   📊 Status: ${response.status} (${response.durationMs}ms)`);
+            expect(response.status, 'unrecognized body should be a client error').to.be.within(400, 499);
+            logger.verify('Malformed body rejected');
+
+            logger.testEnd(testName, true);
         });
 
         it('should handle pubkeys without prefix', async () => {
@@ -419,33 +466,29 @@ describe('Solflare API - Negative & Edge Cases', () => {
              * Tests if the "1" prefix is strictly required
              * If it succeeds, data should be validated separately
              */
-            try {
-                logger.section('🔢 Testing pubkeys without "1" Prefix');
-                logger.info(`   📝 Pubkey: ${VALID_ADDRESS} (no prefix)`);
-                
-                const response = await api.makeBalancesRequest({
-                    pubkeys: [VALID_ADDRESS], // Without '1' prefix
-                    currency: 'usd',
-                    general: true,
-                    network: 'mainnet'
-                });
-                
-                expect(response).to.exist;
-                logger.info('   ✅ Response received');
-                logger.info(`   💰 Net Worth: $${response.netWorth?.toFixed(2) || 0}`);
+            logger.section('🔢 Testing pubkeys without "1" Prefix');
+            logger.info(`   📝 Pubkey: ${VALID_ADDRESS} (no prefix)`);
+
+            const response = await api.makeBalancesRequest({
+                pubkeys: [VALID_ADDRESS], // Without '1' prefix
+                currency: 'usd',
+                general: true,
+                network: 'mainnet'
+            });
+
+            logger.info(`   📊 Status: ${response.status} (${response.durationMs}ms)`);
+            expect(response.status, 'should not be a server error').to.be.below(500);
+
+            if (response.status < 300) {
+                logger.info(`   💰 Net Worth: $${response.body.netWorth?.toFixed(2) || 0}`);
                 logger.info('   💡 Prefix might be optional or silently ignored');
                 logger.verify('Request succeeded without prefix');
-                
-                logger.testEnd(testName, true);
-            } catch (error) {
-                const statusCode = error.response?.status || 'N/A';
-                logger.info(`   ✅ Expected error caught`);
-                logger.info(`   📊 Status: ${statusCode}`);
+            } else {
+                expect(response.status).to.be.within(400, 499);
                 logger.verify('"1" prefix is required');
-                
-                expect(error).to.exist;
-                logger.testEnd(testName, true);
             }
+
+            logger.testEnd(testName, true);
         });
     });
 });
\ No newline at end of file
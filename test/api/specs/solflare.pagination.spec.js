@@ -0,0 +1,130 @@
+const { expect } = require('chai');
+const logger = require('../../../utils/logger');
+const SolflareApiClient = require('../clients/SolflareApiClient');
+const MockSolflareServer = require('../mock/MockSolflareServer');
+const { expectApiError } = require('../helpers/apiAssertions');
+
+/**
+ * Solflare API – Portfolio Pagination Tests
+ *
+ * Runs against a dedicated mock server with a small page size, so cursor
+ * following is exercised on the regular fixtures independently of SOLFLARE_API_MOCK.
+ */
+describe('Solflare API - Portfolio Pagination', () => {
+    const ADDRESS = '96Y3j66AX16noUAAVriW8bmwTGzV1PVqBKCEArPd5fuU';
+
+    const mockServer = new MockSolflareServer();
+    let api;
+
+    before(async () => {
+        api = new SolflareApiClient({ baseUrl: await mockServer.start(), retry: false });
+    });
+
+    afterEach(() => {
+        mockServer.reset();
+    });
+
+    after(async () => {
+        await mockServer.stop();
+    });
+
+    /**
+     * Cursor Following
+     *
+     * Expected Results:
+     * - getPortfolio requests every page and returns all tokens in order
+     * - streamPortfolioTokens yields the same tokens one at a time
+     * - Unpaginated responses take a single request
+     */
+    describe('Cursor following', () => {
+        it('merges every page into one portfolio', async () => {
+            const unpaginated = await api.getPortfolio(ADDRESS);
+            mockServer.reset();
+            mockServer.pageSize = 2;
+
+            const portfolio = await api.getPortfolio(ADDRESS);
+
+            expect(portfolio.tokens).to.deep.equal(unpaginated.tokens);
+            expect(portfolio.nextCursor).to.be.null;
+            expect(mockServer.requestCount).to.equal(Math.ceil(unpaginated.tokens.length / 2));
+            logger.verify(`${portfolio.tokens.length} tokens merged from ${mockServer.requestCount} pages`);
+        });
+
+        it('streams tokens across pages', async () => {
+            mockServer.pageSize = 2;
+
+            const mints = [];
+            for await (const token of api.streamPortfolioTokens(ADDRESS)) {
+                mints.push(token.mint);
+            }
+
+            expect(mints).to.have.length.above(2);
+            expect(new Set(mints).size).to.equal(mints.length);
+        });
+
+        it('makes a single request when the response is not paginated', async () => {
+            await api.getPortfolio(ADDRESS);
+            expect(mockServer.requestCount).to.equal(1);
+        });
+    });
+
+    /**
+     * Pagination Detection
+     *
+     * Expected Results:
+     * - Next-page cursor and page-number fields are found on the body, pagination or meta
+     * - A plain `cursor` (the current page) is never followed
+     * - Empty cursors and last pages end pagination
+     */
+    describe('Pagination detection', () => {
+        const cases = [
+            { body: { tokens: [] }, expected: null, description: 'no pagination fields' },
+            { body: { nextCursor: 'abc' }, expected: { cursor: 'abc' }, description: 'nextCursor' },
+            { body: { nextCursor: null }, expected: null, description: 'null nextCursor' },
+            { body: { pagination: { next_cursor: 'abc' } }, expected: { cursor: 'abc' }, description: 'pagination.next_cursor' },
+            { body: { pagination: { next: 'abc' } }, expected: { cursor: 'abc' }, description: 'pagination.next' },
+            { body: { meta: { next_cursor: '' } }, expected: null, description: 'empty meta.next_cursor' },
+            { body: { meta: { cursor: 'abc' } }, expected: null, description: 'no next page from a plain meta.cursor' },
+            { body: { cursor: 'abc', nextCursor: null }, expected: null, description: 'no next page from a plain cursor beside a null nextCursor' },
+            { body: { pagination: { page: 1, totalPages: 3 } }, expected: { page: 2 }, description: 'page before totalPages' },
+            { body: { pagination: { page: 3, totalPages: 3 } }, expected: null, description: 'last page' },
+            { body: { page: 2, hasMore: true }, expected: { page: 3 }, description: 'hasMore' }
+        ];
+
+        cases.forEach(({ body, expected, description }) => {
+            it(`detects ${description}`, () => {
+                expect(SolflareApiClient.nextPageParams(body)).to.deep.equal(expected);
+            });
+        });
+    });
+
+    /**
+     * Broken Pagination
+     *
+     * Expected Results:
+     * - A cursor that repeats fails with a schema ApiError instead of looping forever
+     * - An unknown cursor is a client error
+     */
+    describe('Broken pagination', () => {
+        it('fails when the API repeats a cursor', async () => {
+            const client = new SolflareApiClient({ baseUrl: mockServer.url, retry: false });
+            client.http.interceptors.response.use((response) => {
+                response.data = { ...response.data, nextCursor: 'same' };
+                return response;
+            });
+
+            await expectApiError(client.getPortfolio(ADDRESS))
+                .withCategory('schema')
+                .withMessageContaining('pagination repeated');
+            expect(mockServer.requestCount).to.equal(2);
+        });
+
+        it('rejects an unknown cursor', async () => {
+            mockServer.pageSize = 2;
+
+            const response = await api.makePortfolioRequest(ADDRESS, { params: { network: 'mainnet', cursor: 'bogus' } });
+
+            expect(response.status).to.equal(400);
+        });
+    });
+});
@@ -1,6 +1,8 @@
+const { expect } = require('chai');
 const logger = require('../../../utils/logger');
 const SolflareApiClient = require('../clients/SolflareApiClient');
 const PortfolioValidator = require('../helpers/PortfolioValidator');
+const { selectAddresses } = require('../helpers/addressSets');
 
 /**
  * Solflare Portfolio API Tests
@@ -9,18 +11,39 @@ const PortfolioValidator = require('../helpers/PortfolioValidator');
  * - Portfolio token values and calculations
  * - Balance aggregations across multiple wallets
  * - Net worth calculations
+ *
+ * Wallets come from an address set (test/api/address-sets/), selected with
+ * SOLFLARE_ADDRESS_SET / --address-set and filtered with SOLFLARE_ADDRESS_TAGS / --address-tags.
  */
 describe('Solflare Portfolio API Tests', () => {
-    const ADDRESSES = [
-        '96Y3j66AX16noUAAVriW8bmwTGzV1PVqBKCEArPd5fuU',
-        '7eXxD3vQww9cgBgD3gb7iqTriAzAmCBXFBMpdDi71P3i'
-    ];
+    const ENTRIES = selectAddresses();
+    const ADDRESSES = ENTRIES.map(entry => entry.address);
+
+    const FX_CURRENCIES = ['usd', 'eur', 'gbp', 'jpy', 'chf', 'cad'];
+    const FX_TOLERANCE_PERCENT = 0.5;
+
+    // Portfolios and balances are fetched seconds apart; inside this window a wallet may differ by this much
+    const PRICE_STALENESS_MS = Number(process.env.SOLFLARE_PRICE_STALENESS_MS || 30000);
+    const PRICE_STALENESS_PERCENT = Number(process.env.SOLFLARE_PRICE_STALENESS_PERCENT || 0.5);
+
+    // Served by the mock from fixtures/generated/; set SOLFLARE_LARGE_WALLET to use a real wallet
+    const LARGE_WALLET = process.env.SOLFLARE_LARGE_WALLET || 'CW8Dh6G5PMLatK6HESvKfiLJMBNE85dd63ZtNdmPgd62';
+    const LARGE_WALLET_MIN_TOKENS = 1000;
 
     let api, validator;
 
     before(() => {
-        api = new SolflareApiClient();
-        validator = new PortfolioValidator(0.01);
+        // Recorded/replayed when SOLFLARE_API_CASSETTE_MODE is set (see npm run test:api:record / replay)
+        api = new SolflareApiClient({ cassette: 'solflare.portfolio' });
+        validator = new PortfolioValidator({
+            default: PortfolioValidator.larger(0.01, 0.01),
+            overrides: {
+                // Server-side sum of its own breakdown - should be exact
+                'Combined Total': PortfolioValidator.absolute(0.01),
+                // Portfolios and balances are fetched seconds apart, prices may move
+                'Net Worth': PortfolioValidator.larger(0.05, 0.1)
+            }
+        });
     });
 
     /**
@@ -31,12 +54,14 @@ describe('Solflare Portfolio API Tests', () => {
      * Expected Results:
      * - Calculated token total matches API total value
      * - Total value equals sum of tokensValue + stocksValue
-     * - All values within $0.01 tolerance
+     * - Calculated total within $0.01 or 0.01% (whichever is larger)
+     * - Combined total within $0.01
+     * - Entry expectations (min/max token count, min value, must be empty) hold
      */
     describe('Scenario 1: Portfolio value validation', () => {
-        ADDRESSES.forEach((address) => {
-            it(`validates portfolio for ${address.substring(0, 8)}...`, async () => {
-                const testName = `Portfolio Validation - ${address.substring(0, 8)}...`;
+        ENTRIES.forEach(({ address, label, tags, expect: expectations }) => {
+            it(`validates portfolio for ${label} (${address.substring(0, 8)}...)${tags.length ? ` [${tags.join(', ')}]` : ''}`, async () => {
+                const testName = `Portfolio Validation - ${label}`;
                 logger.testStart(testName);
 
                 try {
@@ -45,8 +70,6 @@ describe('Solflare Portfolio API Tests', () => {
                     const portfolio = await api.getPortfolio(address, 'mainnet');
                     const { tokens, value, tokensValue, stocksValue } = portfolio;
 
-                    logger.apiResponse(200, 'Portfolio data retrieved');
-
                     // Log portfolio summary
                     validator.logSummary('Portfolio Summary', {
                         'Total Value': value.total,
@@ -57,14 +80,20 @@ describe('Solflare Portfolio API Tests', () => {
 
                     // Validation 1: Calculated total matches API total
                     logger.section('✓ Validation 1: Calculated vs API Total');
-                    const calculated = PortfolioValidator.tokenValue(tokens);
-                    validator.assertMatch(calculated, value.total, 'Calculated Total');
+                    // On mismatch, logs a per-token breakdown and writes it to reports/reconciliation/
+                    validator.assertTokenTotal(tokens, value.total, `Calculated Total ${address.substring(0, 8)}`);
 
                     // Validation 2: Total equals tokensValue + stocksValue
                     logger.section('✓ Validation 2: Total vs Combined (Tokens + Stocks)');
                     const combined = tokensValue.total + stocksValue.total;
                     validator.assertMatch(value.total, combined, 'Combined Total');
 
+                    // Validation 3: Expectations from the address set
+                    if (Object.keys(expectations).length > 0) {
+                        logger.section('✓ Validation 3: Address Set Expectations');
+                        validator.assertExpectations(portfolio, expectations, label);
+                    }
+
                     logger.testEnd(testName, true);
                 } catch (error) {
                     logger.error('Portfolio validation failed', error);
@@ -83,7 +112,9 @@ describe('Solflare Portfolio API Tests', () => {
      * Expected Results:
      * - Net worth equals sum of individual portfolio values
      * - Net worth equals sum of wallet data values
-     * - All calculations within $0.01 tolerance
+     * - Net worth vs portfolios within $0.05 or 0.1% (whichever is larger)
+     * - Data sum within $0.01 or 0.01% (whichever is larger)
+     * - Each wallet's balances value equals its portfolio value, allowing price movement within the staleness window
      */
     describe('Scenario 2: Net worth validation', () => {
         it('validates net worth across multiple wallets', async () => {
@@ -93,6 +124,7 @@ describe('Solflare Portfolio API Tests', () => {
             try {
                 // Step 1: Fetch all portfolios
                 logger.section('📊 Fetching Portfolio Data for All Wallets');
+                const fetchStarted = Date.now();
                 const portfolios = await api.getMultiplePortfolios(ADDRESSES, 'mainnet');
                 
                 portfolios.forEach((p, i) => {
@@ -106,10 +138,9 @@ describe('Solflare Portfolio API Tests', () => {
                 // Step 2: Fetch aggregated balances
                 logger.section('📦 Fetching Balances Endpoint');
                 const balances = await api.getBalances(ADDRESSES, 'usd', 'mainnet');
+                const elapsedMs = Date.now() - fetchStarted;
                 const { netWorth, data } = balances;
 
-                logger.apiResponse(200, 'Balances retrieved');
-
                 // Log balances summary
                 validator.logSummary('Balances Response', {
                     'Net Worth': netWorth,
@@ -125,6 +156,14 @@ describe('Solflare Portfolio API Tests', () => {
                 const dataSum = PortfolioValidator.sum(data || [], w => w.value || 0);
                 validator.assertMatch(netWorth, dataSum, 'Data Sum');
 
+                // Validation 3: Each wallet priced the same by both endpoints
+                logger.section('✓ Validation 3: Per-Wallet Portfolio vs Balances Value');
+                validator.assertPriceConsistency(ADDRESSES, portfolios, balances, {
+                    elapsedMs,
+                    stalenessMs: PRICE_STALENESS_MS,
+                    stalenessPercent: PRICE_STALENESS_PERCENT
+                });
+
                 logger.testEnd(testName, true);
             } catch (error) {
                 logger.error('Net worth validation failed', error);
@@ -133,4 +172,100 @@ describe('Solflare Portfolio API Tests', () => {
             }
         });
     });
-});
\ No newline at end of file
+
+    /**
+     * Test Scenario 3: Multi-Currency Net Worth Consistency
+     * 
+     * Objective: Verify that net worth in other fiat currencies is consistent with USD
+     * 
+     * Expected Results:
+     * - Each currency's net worth equals the sum of its wallet values
+     * - Implied exchange rate is the same for every wallet (within FX tolerance)
+     * - Wallets worth 0 in USD are worth 0 in every currency
+     */
+    describe('Scenario 3: Multi-currency net worth', () => {
+        it(`validates net worth consistency across ${FX_CURRENCIES.join(', ')}`, async () => {
+            const testName = 'Net Worth Validation - Multiple Currencies';
+            logger.testStart(testName);
+
+            try {
+                logger.section('💱 Fetching Balances in Each Currency');
+                const balancesByCurrency = await api.getBalancesInCurrencies(ADDRESSES, FX_CURRENCIES, 'mainnet');
+
+                // Validation 1: Net worth equals sum of data values in every currency
+                logger.section('✓ Validation 1: Net Worth vs Sum of Data Values per Currency');
+                Object.entries(balancesByCurrency).forEach(([currency, { netWorth, data }]) => {
+                    const dataSum = PortfolioValidator.sum(data || [], w => w.value || 0);
+                    validator.assertMatch(netWorth, dataSum, `Data Sum (${currency.toUpperCase()})`, currency);
+                });
+
+                // Validation 2: Implied FX rates agree across wallets
+                logger.section('✓ Validation 2: Implied FX Rates');
+                validator.assertFxConsistency(balancesByCurrency, {
+                    baseCurrency: 'usd',
+                    tolerancePercent: FX_TOLERANCE_PERCENT
+                });
+
+                logger.testEnd(testName, true);
+            } catch (error) {
+                logger.error('Multi-currency validation failed', error);
+                logger.testEnd(testName, false);
+                throw error;
+            }
+        });
+    });
+
+    /**
+     * Test Scenario 4: Large Wallet Validation
+     * 
+     * Objective: Verify totals stay consistent for a wallet with thousands of tokens
+     * 
+     * Expected Results:
+     * - Every page is fetched by following the pagination cursor
+     * - Every page reports the same total and no mint appears on two pages
+     * - Streamed token total matches the API total
+     * - The merged portfolio from getPortfolio has the same tokens
+     */
+    describe('Scenario 4: Large wallet', () => {
+        before(function () {
+            // The generated wallet only exists on the mock server
+            if (!process.env.SOLFLARE_LARGE_WALLET && process.env.SOLFLARE_API_MOCK !== 'true') {
+                this.skip();
+            }
+        });
+
+        it(`validates totals for ${LARGE_WALLET.substring(0, 8)}... across all pages`, async function () {
+            this.timeout(120000);
+            const testName = `Large Wallet Validation - ${LARGE_WALLET.substring(0, 8)}...`;
+            logger.testStart(testName);
+
+            try {
+                // Validation 1: Streamed pages reconcile to the API total
+                logger.section('📊 Streaming Portfolio Pages');
+                const { tokens, total, pageCount } = await validator.assertPagedTokenTotal(
+                    api.portfolioPages(LARGE_WALLET, 'mainnet'),
+                    'Large Wallet Total'
+                );
+
+                validator.logSummary('Large Wallet Summary', {
+                    'Total Value': total,
+                    'Token Count': tokens.length,
+                    'Pages': pageCount
+                });
+                expect(tokens.length, 'token count').to.be.at.least(LARGE_WALLET_MIN_TOKENS);
+
+                // Validation 2: Merged portfolio matches the streamed one
+                logger.section('✓ Validation 2: Merged Portfolio vs Streamed Pages');
+                const portfolio = await api.getPortfolio(LARGE_WALLET, 'mainnet');
+                expect(portfolio.tokens, 'merged tokens').to.have.length(tokens.length);
+                validator.assertMatch(portfolio.value.total, portfolio.tokensValue.total + portfolio.stocksValue.total, 'Combined Total');
+
+                logger.testEnd(testName, true);
+            } catch (error) {
+                logger.error('Large wallet validation failed', error);
+                logger.testEnd(testName, false);
+                throw error;
+            }
+        });
+    });
+});
@@ -0,0 +1,148 @@
+const { expect } = require('chai');
+const logger = require('../../../utils/logger');
+const SolflareApiClient = require('../clients/SolflareApiClient');
+const MockSolflareServer = require('../mock/MockSolflareServer');
+const PortfolioValidator = require('../helpers/PortfolioValidator');
+
+/**
+ * Solflare API – Cross-Endpoint Price Consistency Tests
+ *
+ * Runs against a dedicated mock server; balances responses are altered with a
+ * response interceptor to simulate an endpoint pricing a wallet differently.
+ */
+describe('Solflare API - Price Consistency', () => {
+    const ADDRESSES = [
+        '96Y3j66AX16noUAAVriW8bmwTGzV1PVqBKCEArPd5fuU',
+        '7eXxD3vQww9cgBgD3gb7iqTriAzAmCBXFBMpdDi71P3i',
+        '5cP8Eqm9VZhUxHtcKRz1vmHY6mKNgCnAtXT9VRGzy35F'
+    ];
+    const STALENESS = { stalenessMs: 30000, stalenessPercent: 0.5 };
+
+    const mockServer = new MockSolflareServer();
+    let baseUrl, portfolios, validator;
+
+    before(async () => {
+        baseUrl = await mockServer.start();
+        portfolios = await new SolflareApiClient({ baseUrl, retry: false }).getMultiplePortfolios(ADDRESSES);
+        validator = new PortfolioValidator(0.01);
+    });
+
+    after(async () => {
+        await mockServer.stop();
+    });
+
+    /**
+     * Balances as returned by the mock, after applying a change to its wallet entries
+     * @param {Function} alter - Receives and returns the data array
+     */
+    async function balancesWith(alter = data => data) {
+        const client = new SolflareApiClient({ baseUrl, retry: false });
+        client.http.interceptors.response.use((response) => {
+            if (response.config.url.includes('/balances')) {
+                response.data = { ...response.data, data: alter(response.data.data) };
+            }
+            return response;
+        });
+        return client.getBalances(ADDRESSES);
+    }
+
+    // Scale the value of the wallet at index by factor
+    const scaleWallet = (index, factor) => data => data.map((w, i) => i === index ? { ...w, value: w.value * factor } : w);
+
+    /**
+     * Matching Values
+     *
+     * Expected Results:
+     * - Every wallet is consistent when both endpoints price it the same
+     * - Wallets are lined up by address, not by response order
+     */
+    describe('Matching values', () => {
+        it('finds every wallet consistent', async () => {
+            const report = validator.assertPriceConsistency(ADDRESSES, portfolios, await balancesWith());
+
+            expect(report.consistent.map(row => row.address)).to.deep.equal(ADDRESSES);
+            expect(report.stale).to.be.empty;
+        });
+
+        it('lines wallets up by address', async () => {
+            const balances = await balancesWith(data => [...data].reverse());
+
+            const rows = PortfolioValidator.pairWalletValues(ADDRESSES, portfolios, balances);
+
+            rows.forEach((row, i) => expect(row.balancesValue, row.address).to.equal(portfolios[i].value.total));
+            validator.assertPriceConsistency(ADDRESSES, portfolios, balances);
+        });
+
+        it('falls back to request order without pubkeys', async () => {
+            const balances = await balancesWith(data => data.map(({ value }) => ({ value })));
+
+            expect(PortfolioValidator.pairWalletValues(ADDRESSES, portfolios, balances).map(row => row.balancesValue))
+                .to.deep.equal(portfolios.map(p => p.value.total));
+        });
+    });
+
+    /**
+     * Diverging Values
+     *
+     * Expected Results:
+     * - A wallet valued differently is flagged by address, even when the net worth would hide it
+     * - A wallet missing from balances is flagged
+     */
+    describe('Diverging values', () => {
+        it('flags the wallet that diverges', async () => {
+            const balances = await balancesWith(scaleWallet(1, 1.1));
+
+            expect(() => validator.assertPriceConsistency(ADDRESSES, portfolios, balances))
+                .to.throw(new RegExp(`1 wallet\\(s\\) valued differently.*${ADDRESSES[1]} differs by`));
+        });
+
+        it('flags offsetting differences that leave the net worth unchanged', async () => {
+            const shift = 10;
+            const balances = await balancesWith(data => data.map((w, i) => ({ ...w, value: w.value + (i === 0 ? shift : i === 2 ? -shift : 0) })));
+            validator.assertMatch(balances.netWorth, PortfolioValidator.sum(portfolios, p => p.value.total), 'Net Worth');
+
+            expect(() => validator.assertPriceConsistency(ADDRESSES, portfolios, balances)).to.throw(/2 wallet\(s\)/);
+        });
+
+        it('flags a wallet missing from balances', async () => {
+            const balances = await balancesWith(data => data.slice(1));
+
+            expect(() => validator.assertPriceConsistency(ADDRESSES, portfolios, balances))
+                .to.throw(new RegExp(`${ADDRESSES[0]} missing from balances`));
+        });
+    });
+
+    /**
+     * Staleness Window
+     *
+     * Expected Results:
+     * - Small differences are tolerated as stale when the calls were made within the window
+     * - The same differences fail once the calls are further apart than the window
+     * - Differences above the staleness percent fail even inside the window
+     */
+    describe('Staleness window', () => {
+        it('tolerates small drift between calls made seconds apart', async () => {
+            const balances = await balancesWith(scaleWallet(2, 1.003));
+
+            const report = validator.assertPriceConsistency(ADDRESSES, portfolios, balances, { ...STALENESS, elapsedMs: 2000 });
+
+            expect(report.stale.map(row => row.address)).to.deep.equal([ADDRESSES[2]]);
+            expect(report.consistent).to.have.length(2);
+            logger.verify(`Stale wallet off by ${report.stale[0].percent.toFixed(3)}%`);
+        });
+
+        it('fails the same drift outside the window', async () => {
+            const balances = await balancesWith(scaleWallet(2, 1.003));
+
+            expect(() => validator.assertPriceConsistency(ADDRESSES, portfolios, balances, { ...STALENESS, elapsedMs: 45000 }))
+                .to.throw(/1 wallet\(s\)/);
+        });
+
+        it('fails drift above the staleness percent inside the window', async () => {
+            const balances = await balancesWith(scaleWallet(2, 1.01));
+
+            expect(() => validator.assertPriceConsistency(ADDRESSES, portfolios, balances, { ...STALENESS, elapsedMs: 2000 }))
+                .to.throw(/1 wallet\(s\)/);
+        });
+    });
+});
@@ -0,0 +1,200 @@
+const { expect } = require('chai');
+const logger = require('../../../utils/logger');
+const SolflareApiClient = require('../clients/SolflareApiClient');
+const MockSolflareServer = require('../mock/MockSolflareServer');
+const { expectApiError } = require('../helpers/apiAssertions');
+const { randomAddress } = require('../helpers/solanaAddress');
+
+/**
+ * Solflare API – Retry, Backoff & Rate-Limit Tests
+ *
+ * Runs against a dedicated mock server with injected failures, so it is
+ * deterministic and independent of SOLFLARE_API_MOCK.
+ */
+describe('Solflare API - Retry & Rate Limiting', () => {
+    const ADDRESS = '96Y3j66AX16noUAAVriW8bmwTGzV1PVqBKCEArPd5fuU';
+    const PORTFOLIO_PATH = '/v3/portfolio/tokens/';
+
+    const mockServer = new MockSolflareServer();
+    let baseUrl;
+
+    before(async () => {
+        baseUrl = await mockServer.start();
+    });
+
+    afterEach(() => {
+        mockServer.reset();
+    });
+
+    after(async () => {
+        await mockServer.stop();
+    });
+
+    const createClient = (options = {}) => new SolflareApiClient({
+        baseUrl,
+        retry: { baseDelayMs: 10, maxDelayMs: 50 },
+        ...options
+    });
+
+    /**
+     * Count the HTTP attempts a client makes, including those that get no response
+     * @returns {{count: number}} Live counter
+     */
+    const countAttempts = (client) => {
+        const counter = { count: 0 };
+        const send = client.send.bind(client);
+        client.send = (...args) => {
+            counter.count++;
+            return send(...args);
+        };
+        return counter;
+    };
+
+    /**
+     * Retryable Failures
+     *
+     * Expected Results:
+     * - 502/503/504 and 429 are retried with backoff until success
+     * - Retry-After is waited out before the next attempt
+     * - Non-retryable 4xx fail on the first attempt
+     */
+    describe('Retryable failures', () => {
+        it('retries transient 502s and succeeds', async () => {
+            mockServer.failNext(2, { status: 502, path: PORTFOLIO_PATH });
+
+            const response = await createClient().makePortfolioRequest(ADDRESS);
+
+            expect(response.status).to.equal(200);
+            expect(response.attempts).to.equal(3);
+            logger.verify(`Succeeded after ${response.attempts} attempts`);
+        });
+
+        it('respects Retry-After on 429', async () => {
+            mockServer.failNext(1, { status: 429, headers: { 'Retry-After': '1' }, path: PORTFOLIO_PATH });
+
+            const response = await createClient().makePortfolioRequest(ADDRESS);
+
+            expect(response.status).to.equal(200);
+            expect(response.attempts).to.equal(2);
+            expect(response.durationMs).to.be.at.least(1000);
+            logger.verify(`Waited ${response.durationMs}ms for Retry-After`);
+        });
+
+        it('gives up when Retry-After exceeds the limit', async () => {
+            mockServer.failNext(1, { status: 429, headers: { 'Retry-After': '120' }, path: PORTFOLIO_PATH });
+
+            await expectApiError(createClient().getPortfolio(ADDRESS)).withStatus(429);
+            expect(mockServer.requestCount).to.equal(1);
+        });
+
+        it('surfaces the last error once retries are exhausted', async () => {
+            mockServer.failNext(5, { status: 503, path: PORTFOLIO_PATH });
+
+            await expectApiError(createClient({ retry: { retries: 2, baseDelayMs: 10 } }).getPortfolio(ADDRESS))
+                .withStatus(503)
+                .withCategory('server');
+            expect(mockServer.requestCount).to.equal(3);
+        });
+
+        it('does not retry non-retryable client errors', async () => {
+            await expectApiError(createClient({ validateParams: false }).getPortfolio('invalid')).withStatus(400);
+            expect(mockServer.requestCount).to.equal(1);
+        });
+
+        it('retries network errors', async () => {
+            const client = new SolflareApiClient({ baseUrl: 'http://127.0.0.1:1', retry: { retries: 2, baseDelayMs: 10 } });
+            const attempts = countAttempts(client);
+
+            await expectApiError(client.getPortfolio(ADDRESS)).withCategory('network');
+            expect(attempts.count).to.equal(3);
+            logger.verify(`Gave up after ${attempts.count} attempts`);
+        });
+
+        it('does not retry a request that could not be built', async () => {
+            const client = createClient();
+            const attempts = countAttempts(client);
+
+            const error = await expectApiError(client.makePortfolioRequest(ADDRESS, { headers: { 'X-Invalid': 'line\nbreak' } }))
+                .withCategory('client');
+
+            expect(error.status).to.be.null;
+            expect(attempts.count).to.equal(1);
+            expect(mockServer.requestCount).to.equal(0);
+            logger.verify(`Unsendable request failed once: ${error.message}`);
+        });
+    });
+
+    /**
+     * Retries Disabled
+     *
+     * Expected Results:
+     * - With retry: false the first error is surfaced (as negative tests need)
+     * - A per-call retries: 0 overrides the client setting
+     */
+    describe('Retries disabled', () => {
+        it('surfaces the first error with retry: false', async () => {
+            mockServer.failNext(1, { status: 502, path: PORTFOLIO_PATH });
+
+            await expectApiError(createClient({ retry: false }).getPortfolio(ADDRESS)).withStatus(502);
+            expect(mockServer.requestCount).to.equal(1);
+        });
+
+        it('surfaces the first error with per-call retries: 0', async () => {
+            mockServer.failNext(1, { status: 503, path: PORTFOLIO_PATH });
+
+            const response = await createClient().makePortfolioRequest(ADDRESS, { retries: 0 });
+
+            expect(response.status).to.equal(503);
+            expect(response.attempts).to.equal(1);
+        });
+    });
+
+    /**
+     * Concurrency Limit
+     *
+     * Expected Results:
+     * - getMultiplePortfolios never has more than `concurrency` requests in flight
+     * - Results keep the order of the input addresses, even when later addresses answer first
+     */
+    describe('Concurrency limit', () => {
+        it('limits parallel portfolio requests', async () => {
+            const addresses = Array(8).fill(ADDRESS);
+            mockServer.latencyMs = 50;
+
+            const portfolios = await createClient({ concurrency: 2 }).getMultiplePortfolios(addresses);
+
+            expect(portfolios).to.have.length(addresses.length);
+            expect(mockServer.peakConcurrency).to.be.at.most(2);
+            logger.verify(`Peak concurrency: ${mockServer.peakConcurrency}`);
+        });
+
+        it('keeps input order when responses arrive out of order', async () => {
+            // Distinct wallets, slowest first, so completion order is the reverse of input order
+            const addresses = [
+                ADDRESS,
+                '7eXxD3vQww9cgBgD3gb7iqTriAzAmCBXFBMpdDi71P3i',
+                '5cP8Eqm9VZhUxHtcKRz1vmHY6mKNgCnAtXT9VRGzy35F',
+                randomAddress()
+            ];
+            const client = createClient({ concurrency: addresses.length });
+            const expected = [];
+            for (const address of addresses) {
+                expected.push(await client.getPortfolio(address));
+            }
+            addresses.forEach((address, i) => mockServer.delayPath(`${PORTFOLIO_PATH}${address}`, (addresses.length - i) * 80));
+
+            const completed = [];
+            const getPortfolio = client.getPortfolio.bind(client);
+            client.getPortfolio = async (address, network) => {
+                const portfolio = await getPortfolio(address, network);
+                completed.push(address);
+                return portfolio;
+            };
+            const portfolios = await client.getMultiplePortfolios(addresses);
+
+            expect(completed, 'completion order').to.deep.equal([...addresses].reverse());
+            expect(portfolios).to.deep.equal(expected);
+            logger.verify(`Results in input order, completed as ${completed.map(a => a.substring(0, 4)).join(', ')}`);
+        });
+    });
+});
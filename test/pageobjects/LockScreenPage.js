@@ -0,0 +1,149 @@
+const logger = require('../../utils/logger');
+
+/**
+ * LockScreenPage - Page Object for the Solflare lock/unlock screen
+ * Contains all selectors and methods for unlocking a password-protected wallet
+ */
+class LockScreenPage {
+    /**
+     * Define selectors using data-testid attributes
+     */
+    get passwordInput() {
+        return $('[data-testid="input-password"]');
+    }
+
+    get unlockBtn() {
+        return $('[data-testid="btn-unlock"]');
+    }
+
+    get unlockError() {
+        return $('[data-testid="text-unlock-error"]');
+    }
+
+    /**
+     * Reload the current page and wait for it to finish loading
+     */
+    async reload() {
+        logger.action('Reloading the page');
+        await browser.refresh();
+        await browser.waitUntil(
+            async () => (await browser.execute(() => document.readyState)) === 'complete',
+            { timeout: 15000, timeoutMsg: 'Page did not load after reload' }
+        );
+        await browser.pause(2000);
+        logger.step('Page reloaded');
+    }
+
+    /**
+     * Whether the lock screen is shown
+     * @returns {Promise<boolean>}
+     */
+    async isLocked() {
+        return this.passwordInput.isDisplayed();
+    }
+
+    /**
+     * Verify that the lock screen is shown
+     */
+    async verifyLocked() {
+        logger.action('Verifying the wallet is locked');
+        try {
+            await this.passwordInput.waitForDisplayed({ timeout: 15000 });
+        } catch (error) {
+            logger.error('Lock screen is not displayed');
+            throw new Error('Expected the wallet to be locked but the lock screen is not displayed');
+        }
+        logger.verify('Wallet is locked');
+        return true;
+    }
+
+    /**
+     * Whether the Unlock button can be clicked
+     * @returns {Promise<boolean>}
+     */
+    async isUnlockEnabled() {
+        await this.unlockBtn.waitForDisplayed({ timeout: 10000 });
+        return this.unlockBtn.isEnabled();
+    }
+
+    /**
+     * Read the unlock error, if one is shown
+     * @returns {Promise<string|null>} Error text, or null when no error is displayed
+     */
+    async getUnlockError() {
+        if (!(await this.unlockError.isDisplayed())) {
+            return null;
+        }
+        return (await this.unlockError.getText()).trim();
+    }
+
+    /**
+     * Enter a password and click Unlock, without checking the outcome
+     * @param {string} password - Password to try
+     * @returns {Promise<boolean>} Whether Unlock could be clicked
+     */
+    async attemptUnlock(password) {
+        logger.action('Attempting to unlock the wallet');
+        await this.passwordInput.waitForDisplayed({ timeout: 15000 });
+        await this.passwordInput.clearValue();
+        await this.passwordInput.setValue(password);
+
+        if (!(await this.isUnlockEnabled())) {
+            logger.step('Unlock button is disabled');
+            return false;
+        }
+        await this.unlockBtn.click();
+        await browser.pause(1000);
+        logger.step('Clicked Unlock button');
+        return true;
+    }
+
+    /**
+     * Unlock the wallet with the correct password
+     * @param {string} password - Wallet password
+     */
+    async unlock(password) {
+        logger.section('Unlocking wallet');
+        await this.attemptUnlock(password);
+
+        try {
+            await this.passwordInput.waitForDisplayed({ timeout: 15000, reverse: true });
+        } catch (error) {
+            const message = await this.getUnlockError();
+            logger.error(`Wallet did not unlock${message ? `: "${message}"` : ''}`);
+            throw new Error(`Wallet did not unlock${message ? `: "${message}"` : ''}`);
+        }
+        logger.verify('Wallet unlocked');
+    }
+
+    /**
+     * Verify a wrong password is refused: an error is shown and the wallet stays locked
+     * @param {string} password - Wrong password to try
+     * @param {string} expectedText - Text the error should contain (case-insensitive), optional
+     * @returns {Promise<string>} The error text
+     */
+    async verifyUnlockRejected(password, expectedText) {
+        logger.action(`Verifying a wrong password is rejected${expectedText ? ` with "${expectedText}"` : ''}`);
+        await this.attemptUnlock(password);
+
+        const message = await this.unlockError.waitForDisplayed({ timeout: 5000 })
+            .then(() => this.getUnlockError(), () => null);
+        if (!(await this.isLocked())) {
+            logger.error('Wallet unlocked with a wrong password');
+            throw new Error('Wallet unlocked with a wrong password');
+        }
+        if (message === null) {
+            logger.error('Wrong password was refused without an error message');
+            throw new Error('Wrong password was refused without an error message');
+        }
+        if (expectedText && !message.toLowerCase().includes(expectedText.toLowerCase())) {
+            logger.error(`Expected unlock error containing "${expectedText}" but found "${message}"`);
+            throw new Error(`Expected unlock error containing "${expectedText}" but found "${message}"`);
+        }
+
+        logger.verify(`Wrong password rejected: "${message}"`);
+        return message;
+    }
+}
+
+module.exports = new LockScreenPage();
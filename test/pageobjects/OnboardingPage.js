@@ -1,3 +1,4 @@
+const { Key } = require('webdriverio');
 const logger = require('../../utils/logger')
 
 /**
@@ -12,6 +13,18 @@ class OnboardingPage {
         return $('[data-testid="btn-need-new-wallet"]');
     }
 
+    get alreadyHaveWalletBtn() {
+        return $('[data-testid="btn-already-have-wallet"]');
+    }
+
+    get phraseLengthSwitch() {
+        return $('[data-testid="btn-switch-phrase-length"]');
+    }
+
+    get recoveryPhraseError() {
+        return $('[data-testid="text-recovery-phrase-error"]');
+    }
+
     get mnemonicSection() {
         return $('[data-testid="section-mnemonic-field"]');
     }
@@ -36,6 +49,14 @@ class OnboardingPage {
         return $('[data-testid="input-repeat-password"]');
     }
 
+    get passwordMessages() {
+        return $$('[data-testid^="text-password-error"]');
+    }
+
+    get passwordStrength() {
+        return $('[data-testid="password-strength"]');
+    }
+
     get agreeBtn() {
         return $('[data-testid="btn-explore"]');
     }
@@ -73,6 +94,91 @@ class OnboardingPage {
         }
     }
 
+    /**
+     * Click "I already have a wallet" button to start the import flow
+     */
+    async clickAlreadyHaveWallet() {
+        logger.action('Waiting for "I already have a wallet" button');
+        await this.alreadyHaveWalletBtn.waitForDisplayed({ timeout: 30000 });
+        await this.alreadyHaveWalletBtn.click();
+        await this.mnemonicSection.waitForDisplayed({ timeout: 15000 });
+        logger.step('Clicked "I already have a wallet" button');
+    }
+
+    /**
+     * Switch the import form between 12 and 24 recovery phrase inputs
+     * @param {number} wordCount - 12 or 24
+     */
+    async selectPhraseLength(wordCount) {
+        logger.action(`Selecting ${wordCount}-word recovery phrase`);
+        if (![12, 24].includes(wordCount)) {
+            throw new Error(`Recovery phrases have 12 or 24 words, not ${wordCount}`);
+        }
+        if ((await this.recoveryPhraseInputs).length !== wordCount) {
+            await this.phraseLengthSwitch.waitForClickable({ timeout: 10000 });
+            await this.phraseLengthSwitch.click();
+            await browser.waitUntil(
+                async () => (await this.recoveryPhraseInputs).length === wordCount,
+                { timeout: 5000, timeoutMsg: `Import form did not switch to ${wordCount} inputs` }
+            );
+        }
+        logger.step(`Import form shows ${wordCount} recovery phrase inputs`);
+    }
+
+    /**
+     * Whether the Continue button can be clicked
+     * @returns {Promise<boolean>}
+     */
+    async isContinueEnabled() {
+        await this.continueBtn.waitForDisplayed({ timeout: 15000 });
+        return this.continueBtn.isEnabled();
+    }
+
+    /**
+     * Click Continue if the form allows it
+     * @returns {Promise<boolean>} Whether Continue was clicked
+     */
+    async tryContinue() {
+        if (!(await this.isContinueEnabled())) {
+            logger.step('Continue button is disabled');
+            return false;
+        }
+        await this.clickContinue();
+        return true;
+    }
+
+    /**
+     * Read the recovery phrase error, if one is shown
+     * @returns {Promise<string|null>} Error text, or null when no error is displayed
+     */
+    async getRecoveryPhraseError() {
+        if (!(await this.recoveryPhraseError.isDisplayed())) {
+            return null;
+        }
+        return (await this.recoveryPhraseError.getText()).trim();
+    }
+
+    /**
+     * Verify the recovery phrase error contains the expected text (case-insensitive)
+     * @param {string} expectedText - Text the error message should contain
+     */
+    async verifyRecoveryPhraseError(expectedText) {
+        logger.action(`Verifying recovery phrase error "${expectedText}"`);
+        await this.recoveryPhraseError.waitForDisplayed({ timeout: 10000 })
+            .catch(() => {
+                throw new Error(`Expected recovery phrase error "${expectedText}" but no error was shown`);
+            });
+
+        const errorText = await this.getRecoveryPhraseError();
+        if (errorText.toLowerCase().includes(expectedText.toLowerCase())) {
+            logger.verify(`Recovery phrase error shown: "${errorText}"`);
+            return errorText;
+        } else {
+            logger.error(`Expected error containing "${expectedText}" but found "${errorText}"`);
+            throw new Error(`Expected error containing "${expectedText}" but found "${errorText}"`);
+        }
+    }
+
     /**
      * Extract and store recovery phrase from the displayed inputs
      * @returns {Promise<string[]>} Array of recovery phrase words
@@ -114,12 +220,84 @@ class OnboardingPage {
         for (let i = 0; i < phrase.length; i++) {
             const input = await $(`[data-testid="input-recovery-phrase-${i + 1}"]`);
             await input.waitForDisplayed({ timeout: 5000 });
-            await input.setValue(phrase[i]);
+            if (phrase[i]) {
+                await input.setValue(phrase[i]);
+            } else {
+                await input.clearValue();
+            }
         }
         
         logger.step('Entered recovery phrase (typed, not pasted)');
     }
 
+    /**
+     * Paste the whole recovery phrase into the first input through the clipboard
+     * Copies the phrase from a temporary textarea, then presses Ctrl/Cmd+V in the first input,
+     * so the app handles a real paste.
+     * @param {string[]} phrase - Array of recovery phrase words
+     */
+    async pasteRecoveryPhrase(phrase) {
+        logger.action(`Pasting recovery phrase (${phrase.length} words)`);
+
+        await browser.execute((text) => {
+            const source = document.createElement('textarea');
+            source.id = 'clipboard-source';
+            source.value = text;
+            document.body.appendChild(source);
+            source.focus();
+            source.select();
+        }, phrase.join(' '));
+        await browser.keys([Key.Ctrl, 'c']);
+        await browser.execute(() => document.getElementById('clipboard-source').remove());
+
+        const firstInput = await $('[data-testid="input-recovery-phrase-1"]');
+        await firstInput.waitForDisplayed({ timeout: 5000 });
+        await firstInput.click();
+        await browser.keys([Key.Ctrl, 'v']);
+        await browser.pause(500);
+
+        logger.step('Pasted recovery phrase');
+    }
+
+    /**
+     * Read the words currently in the recovery phrase inputs
+     * @returns {Promise<string[]>} One entry per input, '' for blank inputs
+     */
+    async getEnteredRecoveryPhrase() {
+        const words = [];
+        for (const input of await this.recoveryPhraseInputs) {
+            words.push((await input.getValue()).trim());
+        }
+        return words;
+    }
+
+    /**
+     * Verify the entered recovery phrase cannot be confirmed:
+     * Continue stays disabled, or clicking it keeps the phrase inputs open and never reaches the password step
+     * Any error text shown is returned for logging, not required.
+     * @returns {Promise<{continueEnabled: boolean, error: string|null}>}
+     */
+    async verifyRecoveryPhraseRejected() {
+        logger.action('Verifying the recovery phrase is rejected');
+
+        if (!(await this.tryContinue())) {
+            logger.verify('Continue button stays disabled');
+            return { continueEnabled: false, error: await this.getRecoveryPhraseError() };
+        }
+
+        const reachedPasswordStep = await this.newPasswordInput.waitForDisplayed({ timeout: 5000 })
+            .then(() => true, () => false);
+        const phraseStepShown = await $('[data-testid="input-recovery-phrase-1"]').isDisplayed();
+        if (reachedPasswordStep || !phraseStepShown) {
+            logger.error('Recovery phrase was accepted: the confirmation step was left');
+            throw new Error('Recovery phrase was accepted: Continue left the confirmation step');
+        }
+
+        const error = await this.getRecoveryPhraseError();
+        logger.verify(`Recovery phrase rejected, confirmation step still shown${error ? ` with error "${error}"` : ''}`);
+        return { continueEnabled: true, error };
+    }
+
     /**
      * Click Continue button
      */
@@ -137,14 +315,110 @@ class OnboardingPage {
      */
     async enterPassword(password) {
         logger.action('Entering password in both fields');
+        await this.enterPasswords(password, password);
+        logger.step('Entered password in both fields');
+    }
+
+    /**
+     * Enter separate values in the new and repeat password fields
+     * @param {string} newPassword - Value for input-new-password
+     * @param {string} repeatPassword - Value for input-repeat-password
+     */
+    async enterPasswords(newPassword, repeatPassword) {
         await this.newPasswordInput.waitForDisplayed({ timeout: 15000 });
-        await this.newPasswordInput.setValue(password);
-        
+        await this.newPasswordInput.setValue(newPassword);
+
         await this.repeatPasswordInput.waitForDisplayed({ timeout: 5000 });
-        await this.repeatPasswordInput.setValue(password);
-        
-        logger.step('Entered password in both fields');
-        logger.debug('Password fields populated');
+        await this.repeatPasswordInput.setValue(repeatPassword);
+
+        logger.debug('Password fields populated', { newLength: newPassword.length, repeatLength: repeatPassword.length });
+    }
+
+    /**
+     * Read back the values the password fields hold (e.g. to detect truncation)
+     * @returns {Promise<{newPassword: string, repeatPassword: string}>}
+     */
+    async getPasswordValues() {
+        return {
+            newPassword: await this.newPasswordInput.getValue(),
+            repeatPassword: await this.repeatPasswordInput.getValue()
+        };
+    }
+
+    /**
+     * Read the displayed password validation messages
+     * @returns {Promise<string[]>} Message texts, empty when the passwords are valid
+     */
+    async getPasswordMessages() {
+        const messages = [];
+        for (const message of await this.passwordMessages) {
+            if (await message.isDisplayed()) {
+                messages.push((await message.getText()).trim());
+            }
+        }
+        return messages;
+    }
+
+    /**
+     * Read the password strength indicator
+     * @returns {Promise<string|null>} Indicator text in lower case (e.g. weak, medium, strong), or null when not shown
+     */
+    async getPasswordStrength() {
+        if (!(await this.passwordStrength.isDisplayed())) {
+            return null;
+        }
+        return (await this.passwordStrength.getText()).trim().toLowerCase();
+    }
+
+    /**
+     * Verify the entered passwords cannot be submitted
+     * - With expectedText: a message containing it must be shown, whatever the Continue state
+     * - Without: Continue stays disabled or any validation message is shown
+     * @param {string} expectedText - Text one of the messages should contain (case-insensitive), optional
+     * @returns {Promise<{continueEnabled: boolean, messages: string[]}>}
+     */
+    async verifyPasswordRejected(expectedText) {
+        logger.action(`Verifying the password is rejected${expectedText ? ` with "${expectedText}"` : ''}`);
+
+        let messages = [];
+        if (expectedText) {
+            await browser.waitUntil(async () => {
+                messages = await this.getPasswordMessages();
+                return messages.some(message => message.toLowerCase().includes(expectedText.toLowerCase()));
+            }, { timeout: 5000 }).catch(() => {
+                logger.error(`Expected a message containing "${expectedText}" but found: ${messages.join(' | ') || 'none'}`);
+                throw new Error(`Expected a message containing "${expectedText}" but found: ${messages.join(' | ') || 'none'}`);
+            });
+        } else {
+            await browser.pause(500);
+            messages = await this.getPasswordMessages();
+        }
+
+        const continueEnabled = await this.isContinueEnabled();
+        logger.info(`Continue ${continueEnabled ? 'enabled' : 'disabled'}, messages: ${messages.join(' | ') || 'none'}`);
+
+        if (continueEnabled && messages.length === 0) {
+            logger.error('Password was accepted: Continue is enabled and no message is shown');
+            throw new Error('Password was accepted: Continue is enabled and no message is shown');
+        }
+
+        logger.verify('Password rejected');
+        return { continueEnabled, messages };
+    }
+
+    /**
+     * Create a new wallet and stop at the password step
+     * @returns {Promise<string[]>} The recovery phrase that was used
+     */
+    async openPasswordStep() {
+        await this.clickNeedNewWallet();
+        const recoveryPhrase = await this.extractRecoveryPhrase();
+        await this.clickSavedPhrase();
+        await this.enterRecoveryPhrase(recoveryPhrase);
+        await this.clickContinue();
+        await this.newPasswordInput.waitForDisplayed({ timeout: 15000 });
+        logger.step('Reached the password step');
+        return recoveryPhrase;
     }
 
     /**
@@ -161,15 +435,21 @@ class OnboardingPage {
     /**
      * Complete the full onboarding flow in one method
      * @param {string} password - Password to set for the wallet
+     * @param {object} options - Flow options
+     * @param {boolean} options.paste - Paste the recovery phrase instead of typing it
      * @returns {Promise<string[]>} The recovery phrase that was used
      */
-    async completeOnboarding(password) {
+    async completeOnboarding(password, { paste = false } = {}) {
         logger.section('Starting onboarding flow');
         
         await this.clickNeedNewWallet();
         const recoveryPhrase = await this.extractRecoveryPhrase();
         await this.clickSavedPhrase();
-        await this.enterRecoveryPhrase(recoveryPhrase);
+        if (paste) {
+            await this.pasteRecoveryPhrase(recoveryPhrase);
+        } else {
+            await this.enterRecoveryPhrase(recoveryPhrase);
+        }
         await this.clickContinue();
         await this.enterPassword(password);
         await this.clickContinue();
@@ -178,6 +458,27 @@ class OnboardingPage {
         logger.verify('Onboarding completed successfully');
         return recoveryPhrase;
     }
+
+    /**
+     * Import an existing wallet from a known recovery phrase
+     * @param {string[]} phrase - 12 or 24 recovery phrase words
+     * @param {string} password - Password to set for the wallet
+     * @returns {Promise<string[]>} The recovery phrase that was imported
+     */
+    async importWallet(phrase, password) {
+        logger.section(`Importing wallet from ${phrase.length}-word recovery phrase`);
+
+        await this.clickAlreadyHaveWallet();
+        await this.selectPhraseLength(phrase.length);
+        await this.enterRecoveryPhrase(phrase);
+        await this.clickContinue();
+        await this.enterPassword(password);
+        await this.clickContinue();
+        await this.clickAgree();
+
+        logger.verify('Wallet imported successfully');
+        return phrase;
+    }
 }
 
 module.exports = new OnboardingPage();
\ No newline at end of file
@@ -1,4 +1,5 @@
 const logger = require('../../utils/logger');
+const { matchesDisplayedAddress } = require('../api/helpers/solanaDerivation');
 
 /**
  * WalletManagementPage - Page Object for Solflare wallet management functionality
@@ -52,6 +53,10 @@ class WalletManagementPage {
         return $('[data-testid="btn-save"]');
     }
 
+    get lockBtn() {
+        return $('[data-testid="icon-btn-lock"]');
+    }
+
     /**
      * Open wallet management by clicking the wallet picker (avatar in header)
      */
@@ -264,21 +269,29 @@ class WalletManagementPage {
     }
 
     /**
-     * Verify that specific wallets are present in the recovery phrase list
-     * @param {string[]} walletNames - Array of expected wallet names
+     * Read the wallet names in the recovery phrase list
+     * @returns {Promise<string[]>} Wallet names in display order
      */
-    async verifyWalletsInList(walletNames = []) {
-        logger.section('Verifying wallets in recovery phrase list');
-        
+    async getWalletNames() {
         await this.recoveryPhraseHeader.waitForDisplayed({ timeout: 10000 });
         
         const titles = await this.recoveryPhraseHeader.$$('[data-testid="list-item-m-title"]');
         
-        const actualWalletNames = [];
+        const walletNames = [];
         for (const title of titles) {
-            const text = await title.getText();
-            actualWalletNames.push(text);
+            walletNames.push(await title.getText());
         }
+        return walletNames;
+    }
+
+    /**
+     * Verify that specific wallets are present in the recovery phrase list
+     * @param {string[]} walletNames - Array of expected wallet names
+     */
+    async verifyWalletsInList(walletNames = []) {
+        logger.section('Verifying wallets in recovery phrase list');
+        
+        const actualWalletNames = await this.getWalletNames();
         
         logger.info(`Found wallets: ${actualWalletNames.join(', ')}`);
         
@@ -296,6 +309,61 @@ class WalletManagementPage {
         return true;
     }
 
+    /**
+     * Read each wallet's displayed address from the recovery phrase list
+     * @returns {Promise<Object<string, string>>} Displayed address (possibly shortened) by wallet name
+     */
+    async getWalletAddresses() {
+        logger.action('Reading wallet addresses from recovery phrase list');
+        await this.recoveryPhraseHeader.waitForDisplayed({ timeout: 10000 });
+
+        const items = await this.recoveryPhraseHeader.$$('[data-testid="list-item-m-title"]');
+        const addresses = {};
+        for (const title of items) {
+            const name = await title.getText();
+            const subtitle = await title.parentElement().$('[data-testid="list-item-m-subtitle"]');
+            addresses[name] = (await subtitle.isExisting()) ? (await subtitle.getText()).trim() : null;
+        }
+
+        logger.step(`Read addresses of ${Object.keys(addresses).length} wallet(s)`);
+        return addresses;
+    }
+
+    /**
+     * Verify that wallets show the expected public keys
+     * @param {Object<string, string>} expectedAddresses - Full base58 address by wallet name
+     */
+    async verifyWalletAddresses(expectedAddresses) {
+        logger.section('Verifying wallet addresses');
+        const displayed = await this.getWalletAddresses();
+
+        for (const [name, address] of Object.entries(expectedAddresses)) {
+            if (matchesDisplayedAddress(displayed[name], address)) {
+                logger.verify(`Wallet "${name}" shows ${displayed[name]}`);
+            } else {
+                logger.error(`Wallet "${name}" shows "${displayed[name]}" but expected ${address}`);
+                throw new Error(`Wallet "${name}" shows "${displayed[name]}" but expected ${address}`);
+            }
+        }
+
+        logger.verify('All wallets show their derived addresses');
+        return true;
+    }
+
+    /**
+     * Lock the wallet from the wallet management menu, opening the menu if it is closed
+     */
+    async lockWallet() {
+        logger.action('Locking the wallet');
+        if (!(await this.lockBtn.isDisplayed())) {
+            await this.openWalletManagement();
+        }
+        await this.lockBtn.waitForClickable({ timeout: 10000 });
+        await this.lockBtn.click();
+        await browser.pause(1000);
+        logger.step('Locked the wallet');
+    }
+
     /**
      * Complete the manage recovery phrase toggles flow
      */
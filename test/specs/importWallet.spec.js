@@ -0,0 +1,125 @@
+const OnboardingPage = require('../pageobjects/OnboardingPage');
+const WalletManagementPage = require('../pageobjects/WalletManagementPage');
+const logger = require('../../utils/logger');
+
+/**
+ * Test Suite: Onboarding - Import Wallet via Recovery Phrase
+ *
+ * Imports deterministic wallets from known mnemonics, so later checks can rely on
+ * the wallet names and derived addresses, and covers phrases the import form must reject:
+ * - Mistyped word (not in the BIP39 word list)
+ * - Wrong word count
+ * - Valid words with an invalid checksum
+ *
+ * The mnemonics are the public BIP39 test vectors - never fund them.
+ */
+describe('Onboarding - Import Wallet via Recovery Phrase', () => {
+    const ABANDON = Array(11).fill('abandon');
+
+    // Test configuration
+    const testConfig = {
+        password: 'superSecurePasswordBecauseImLazy@!$#',
+        mainWalletName: 'Main Wallet',
+        phrases: {
+            twelveWords: [...ABANDON, 'about'],
+            twentyFourWords: [...ABANDON, ...ABANDON, 'abandon', 'art']
+        },
+        // Substrings of the error shown for each rejected phrase (matched case-insensitively).
+        errors: {
+            mistypedWord: 'invalid word',
+            wrongWordCount: '12 or 24 words',
+            invalidChecksum: 'invalid recovery phrase'
+        }
+    };
+
+    /**
+     * Before each test: Navigate to onboarding page
+     */
+    beforeEach(async () => {
+        logger.debug('Test setup: Navigating to onboarding page');
+        await OnboardingPage.visit();
+    });
+
+    /**
+     * Test Case: Import a known 12- or 24-word phrase and land in the wallet
+     */
+    [
+        { name: '12-word', phrase: testConfig.phrases.twelveWords },
+        { name: '24-word', phrase: testConfig.phrases.twentyFourWords }
+    ].forEach(({ name, phrase }) => {
+        it(`Imports a wallet from a known ${name} recovery phrase`, async () => {
+            const testName = `Import Wallet - ${name} phrase`;
+            logger.testStart(testName);
+
+            try {
+                await OnboardingPage.importWallet(phrase, testConfig.password);
+
+                // Expected Result: The imported wallet opens with its Main Wallet
+                await WalletManagementPage.openWalletManagement();
+                await WalletManagementPage.verifyMainWallet();
+                await WalletManagementPage.verifyWalletsInList([testConfig.mainWalletName]);
+
+                logger.testEnd(testName, true);
+            } catch (error) {
+                logger.error('Test failed with error', error);
+                logger.testEnd(testName, false);
+                throw error;
+            }
+        });
+    });
+
+    /**
+     * Test Cases: Phrases the import form must reject, each with its error message
+     */
+    [
+        {
+            name: 'a mistyped word',
+            formLength: 12,
+            phrase: [...ABANDON, 'abuot'],
+            error: testConfig.errors.mistypedWord
+        },
+        {
+            name: 'too few words',
+            formLength: 12,
+            phrase: ABANDON,
+            error: testConfig.errors.wrongWordCount
+        },
+        {
+            name: 'an invalid checksum',
+            formLength: 12,
+            phrase: [...ABANDON, 'abandon'],
+            error: testConfig.errors.invalidChecksum
+        },
+        {
+            name: 'an invalid 24-word checksum',
+            formLength: 24,
+            phrase: [...ABANDON, ...ABANDON, 'abandon', 'abandon'],
+            error: testConfig.errors.invalidChecksum
+        }
+    ].forEach(({ name, formLength, phrase, error }) => {
+        it(`Rejects a recovery phrase with ${name}`, async () => {
+            const testName = `Import Wallet - rejects ${name}`;
+            logger.testStart(testName);
+
+            try {
+                await OnboardingPage.clickAlreadyHaveWallet();
+                await OnboardingPage.selectPhraseLength(formLength);
+                await OnboardingPage.enterRecoveryPhrase(phrase);
+                await OnboardingPage.tryContinue();
+
+                // Expected Result: The password step is not reached and the error is shown
+                if (await OnboardingPage.newPasswordInput.isDisplayed()) {
+                    throw new Error(`Password step reached with a recovery phrase with ${name}`);
+                }
+                logger.verify('Import stopped before the password step');
+                await OnboardingPage.verifyRecoveryPhraseError(error);
+
+                logger.testEnd(testName, true);
+            } catch (err) {
+                logger.error('Test failed with error', err);
+                logger.testEnd(testName, false);
+                throw err;
+            }
+        });
+    });
+});
@@ -0,0 +1,147 @@
+const OnboardingPage = require('../pageobjects/OnboardingPage');
+const WalletManagementPage = require('../pageobjects/WalletManagementPage');
+const LockScreenPage = require('../pageobjects/LockScreenPage');
+const logger = require('../../utils/logger');
+
+/**
+ * Test Suite: Wallet Management - Lock, Unlock & Session Persistence
+ *
+ * Checks that the onboarding password actually protects the wallet:
+ * - A locked wallet stays locked across a reload and unlocks with the correct password
+ * - Wrong passwords are refused with an error
+ * - Repeated wrong passwords do not lock the wallet out: each is refused with an error, then the correct password unlocks
+ * - The wallet list survives lock, reload and unlock
+ */
+describe('Wallet Management - Lock & Unlock', () => {
+    // Test configuration
+    const testConfig = {
+        password: 'superSecurePasswordBecauseImLazy@!$#',
+        wrongPassword: 'notTheRightPassword@!$#',
+        newWalletName: 'Talimi Banana',
+        mainWalletName: 'Main Wallet',
+        toggleGeneratedWallets: ['Wallet 2', 'Wallet 3'],
+        wrongAttempts: 5,
+        // Substring of the unlock error (matched case-insensitively)
+        errors: {
+            wrongPassword: 'incorrect password'
+        }
+    };
+
+    /**
+     * Before each test: Create a wallet with the test password
+     */
+    beforeEach(async () => {
+        logger.debug('Test setup: Onboarding a new wallet');
+        await OnboardingPage.visit();
+        await OnboardingPage.completeOnboarding(testConfig.password);
+    });
+
+    /**
+     * Test Case: Lock, reload, unlock - the wallet list is unchanged
+     */
+    it('Keeps the wallet list after locking, reloading and unlocking', async () => {
+        const testName = 'Lock & Unlock - Wallet list survives a reload';
+        logger.testStart(testName);
+
+        try {
+            await WalletManagementPage.openWalletManagement();
+            await WalletManagementPage.addNewWallet(testConfig.newWalletName);
+            await WalletManagementPage.manageRecoveryPhraseToggles();
+
+            const expectedWallets = [
+                testConfig.mainWalletName,
+                testConfig.newWalletName,
+                ...testConfig.toggleGeneratedWallets
+            ];
+            await WalletManagementPage.verifyWalletsInList(expectedWallets);
+            const walletsBefore = await WalletManagementPage.getWalletNames();
+
+            await WalletManagementPage.lockWallet();
+            await LockScreenPage.verifyLocked();
+            await LockScreenPage.reload();
+
+            // Expected Result: Still locked after the reload, unlocks with the correct password
+            await LockScreenPage.verifyLocked();
+            await LockScreenPage.unlock(testConfig.password);
+
+            // Expected Result: Same wallets, in the same order
+            await WalletManagementPage.openWalletManagement();
+            await WalletManagementPage.verifyWalletsInList(expectedWallets);
+            const walletsAfter = await WalletManagementPage.getWalletNames();
+            if (walletsAfter.join('|') !== walletsBefore.join('|')) {
+                throw new Error(`Wallet list changed after reload: [${walletsBefore.join(', ')}] -> [${walletsAfter.join(', ')}]`);
+            }
+            logger.verify('Wallet list unchanged after lock, reload and unlock');
+
+            logger.testEnd(testName, true);
+        } catch (error) {
+            logger.error('Test failed with error', error);
+            logger.testEnd(testName, false);
+            throw error;
+        }
+    });
+
+    /**
+     * Test Case: A wrong password is refused, before and after a reload
+     */
+    it('Refuses a wrong password and stays locked', async () => {
+        const testName = 'Lock & Unlock - Wrong password';
+        logger.testStart(testName);
+
+        try {
+            await WalletManagementPage.lockWallet();
+            await LockScreenPage.verifyUnlockRejected(testConfig.wrongPassword, testConfig.errors.wrongPassword);
+
+            // Password differing only by case or a trailing space is still wrong
+            await LockScreenPage.verifyUnlockRejected(testConfig.password.toUpperCase());
+            await LockScreenPage.verifyUnlockRejected(`${testConfig.password} `);
+
+            await LockScreenPage.reload();
+            await LockScreenPage.verifyLocked();
+            await LockScreenPage.verifyUnlockRejected(testConfig.wrongPassword, testConfig.errors.wrongPassword);
+
+            await LockScreenPage.unlock(testConfig.password);
+            await WalletManagementPage.openWalletManagement();
+            await WalletManagementPage.verifyMainWallet();
+
+            logger.testEnd(testName, true);
+        } catch (error) {
+            logger.error('Test failed with error', error);
+            logger.testEnd(testName, false);
+            throw error;
+        }
+    });
+
+    /**
+     * Test Case: Repeated wrong passwords are each refused, without a lockout
+     */
+    it(`Refuses ${testConfig.wrongAttempts} wrong passwords in a row, then unlocks with the correct one`, async () => {
+        const testName = 'Lock & Unlock - Repeated wrong passwords';
+        logger.testStart(testName);
+
+        try {
+            await WalletManagementPage.lockWallet();
+            await LockScreenPage.verifyLocked();
+
+            // Expected Result: Every attempt is refused with the wrong-password error
+            for (let attempt = 1; attempt <= testConfig.wrongAttempts; attempt++) {
+                const message = await LockScreenPage.verifyUnlockRejected(
+                    `${testConfig.wrongPassword}${attempt}`,
+                    testConfig.errors.wrongPassword
+                );
+                logger.info(`Attempt ${attempt}: "${message}"`);
+            }
+
+            // Expected Result: No lockout - the correct password still unlocks
+            await LockScreenPage.unlock(testConfig.password);
+            await WalletManagementPage.openWalletManagement();
+            await WalletManagementPage.verifyMainWallet();
+
+            logger.testEnd(testName, true);
+        } catch (error) {
+            logger.error('Test failed with error', error);
+            logger.testEnd(testName, false);
+            throw error;
+        }
+    });
+});
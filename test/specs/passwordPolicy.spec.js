@@ -0,0 +1,174 @@
+const OnboardingPage = require('../pageobjects/OnboardingPage');
+const logger = require('../../utils/logger');
+
+/**
+ * Test Suite: Onboarding - Password Policy
+ *
+ * Data-driven checks of the password step (input-new-password / input-repeat-password):
+ * - Rejected: mismatches, too short, whitespace only, a repeat that differs only by whitespace
+ * - Accepted: unicode and very long passwords, stored without truncation
+ * - Strength indicator for weak and strong passwords
+ */
+describe('Onboarding - Password Policy', () => {
+    // Test configuration
+    const testConfig = {
+        strongPassword: 'superSecurePasswordBecauseImLazy@!$#',
+        // Substrings of the validation messages (matched case-insensitively).
+        messages: {
+            mismatch: 'do not match',
+            tooShort: 'at least 8'
+        }
+    };
+
+    const rejectedCases = [
+        {
+            name: 'mismatched passwords',
+            newPassword: testConfig.strongPassword,
+            repeatPassword: `${testConfig.strongPassword}x`,
+            message: testConfig.messages.mismatch
+        },
+        {
+            name: 'a repeat differing only by case',
+            newPassword: testConfig.strongPassword,
+            repeatPassword: testConfig.strongPassword.toUpperCase(),
+            message: testConfig.messages.mismatch
+        },
+        {
+            name: 'a repeat differing only by a trailing space',
+            newPassword: testConfig.strongPassword,
+            repeatPassword: `${testConfig.strongPassword} `,
+            message: testConfig.messages.mismatch
+        },
+        {
+            name: 'a too-short password',
+            newPassword: 'aB3$x',
+            repeatPassword: 'aB3$x',
+            message: testConfig.messages.tooShort
+        },
+        {
+            name: 'a whitespace-only password',
+            newPassword: ' '.repeat(12),
+            repeatPassword: ' '.repeat(12)
+        },
+        {
+            name: 'an empty repeat field',
+            newPassword: testConfig.strongPassword,
+            repeatPassword: ''
+        }
+    ];
+
+    const acceptedCases = [
+        {
+            name: 'a unicode password',
+            // BMP characters only: ChromeDriver's sendKeys rejects characters outside the BMP, such as emoji
+            password: 'Пароль-密码-contraseña-✓-42'
+        },
+        {
+            name: 'a very long password',
+            password: 'Long#Passw0rd-'.repeat(40)
+        },
+        {
+            name: 'a password with inner spaces',
+            password: 'correct horse battery staple 9!'
+        }
+    ];
+
+    const strengthCases = [
+        { name: 'a weak password', password: 'password', strength: 'weak' },
+        { name: 'a strong password', password: testConfig.strongPassword, strength: 'strong' }
+    ];
+
+    /**
+     * Before each test: Create a new wallet up to the password step
+     */
+    beforeEach(async () => {
+        logger.debug('Test setup: Opening the password step');
+        await OnboardingPage.visit();
+        await OnboardingPage.openPasswordStep();
+    });
+
+    /**
+     * Test Cases: Passwords the step must reject
+     */
+    rejectedCases.forEach(({ name, newPassword, repeatPassword, message }) => {
+        it(`Rejects ${name}`, async () => {
+            const testName = `Password Policy - rejects ${name}`;
+            logger.testStart(testName);
+
+            try {
+                await OnboardingPage.enterPasswords(newPassword, repeatPassword);
+
+                // Expected Result: The expected message is shown; without one, Continue stays disabled or any message is shown
+                await OnboardingPage.verifyPasswordRejected(message);
+
+                logger.testEnd(testName, true);
+            } catch (error) {
+                logger.error('Test failed with error', error);
+                logger.testEnd(testName, false);
+                throw error;
+            }
+        });
+    });
+
+    /**
+     * Test Cases: Passwords the step must accept unchanged
+     */
+    acceptedCases.forEach(({ name, password }) => {
+        it(`Accepts ${name}`, async () => {
+            const testName = `Password Policy - accepts ${name}`;
+            logger.testStart(testName);
+
+            try {
+                await OnboardingPage.enterPasswords(password, password);
+
+                // Expected Result: Both fields hold the full password, no message, Continue leads on
+                const { newPassword, repeatPassword } = await OnboardingPage.getPasswordValues();
+                if (newPassword !== password || repeatPassword !== password) {
+                    throw new Error(`Password fields hold ${newPassword.length}/${repeatPassword.length} of ${password.length} characters`);
+                }
+                logger.verify(`Both fields hold all ${password.length} characters`);
+
+                const messages = await OnboardingPage.getPasswordMessages();
+                if (messages.length > 0) {
+                    throw new Error(`Unexpected password messages: ${messages.join(' | ')}`);
+                }
+
+                await OnboardingPage.clickContinue();
+                await OnboardingPage.agreeBtn.waitForDisplayed({ timeout: 15000 });
+                logger.verify('Password accepted');
+
+                logger.testEnd(testName, true);
+            } catch (error) {
+                logger.error('Test failed with error', error);
+                logger.testEnd(testName, false);
+                throw error;
+            }
+        });
+    });
+
+    /**
+     * Test Cases: Strength indicator
+     */
+    strengthCases.forEach(({ name, password, strength }) => {
+        it(`Rates ${name} as ${strength}`, async () => {
+            const testName = `Password Policy - strength of ${name}`;
+            logger.testStart(testName);
+
+            try {
+                await OnboardingPage.enterPasswords(password, '');
+
+                const actual = await OnboardingPage.getPasswordStrength();
+                if (actual === null || !actual.includes(strength)) {
+                    throw new Error(`Expected strength "${strength}" but found "${actual}"`);
+                }
+                logger.verify(`Strength indicator shows "${actual}"`);
+
+                logger.testEnd(testName, true);
+            } catch (error) {
+                logger.error('Test failed with error', error);
+                logger.testEnd(testName, false);
+                throw error;
+            }
+        });
+    });
+});
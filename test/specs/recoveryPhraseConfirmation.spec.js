@@ -0,0 +1,166 @@
+const OnboardingPage = require('../pageobjects/OnboardingPage');
+const WalletManagementPage = require('../pageobjects/WalletManagementPage');
+const logger = require('../../utils/logger');
+
+/**
+ * Test Suite: Onboarding - Recovery Phrase Confirmation
+ *
+ * After "I saved my recovery phrase" the new wallet's phrase must be entered again.
+ * This suite checks that only the exact phrase is accepted, typed or pasted:
+ * - Swapped, blank (typed), missing (pasted) and mistyped words keep Continue disabled or the confirmation step open
+ * - A pasted wrong phrase must first land in the inputs, so an ignored paste cannot pass as a rejection
+ * - Pasting the whole phrase fills every input and completes onboarding
+ */
+describe('Onboarding - Recovery Phrase Confirmation', () => {
+    // Test configuration
+    const testConfig = {
+        password: 'superSecurePasswordBecauseImLazy@!$#',
+        mainWalletName: 'Main Wallet'
+    };
+
+    /**
+     * Ways to get the phrase wrong; each returns a changed copy
+     */
+    const swapWords = (phrase) => {
+        // Swap the first two different words so the phrase actually changes
+        const i = phrase.findIndex(word => word !== phrase[0]);
+        if (i === -1) {
+            throw new Error(`Cannot swap words in a phrase of ${phrase.length} identical words`);
+        }
+        const swapped = [...phrase];
+        [swapped[0], swapped[i]] = [swapped[i], swapped[0]];
+        return swapped;
+    };
+    const mistypeLastWord = (phrase) => phrase.map((word, i) => i === phrase.length - 1 ? `${word}qq` : word);
+
+    /**
+     * Paste the phrase, then check the inputs hold exactly the pasted words (and blanks after them),
+     * so a paste the app ignored cannot pass as a rejection
+     * @param {string[]} words - Words to paste
+     */
+    async function pasteAndVerify(words) {
+        await OnboardingPage.pasteRecoveryPhrase(words);
+
+        const entered = await OnboardingPage.getEnteredRecoveryPhrase();
+        const expected = entered.map((_, i) => words[i] || '');
+        if (entered.join(' ') !== expected.join(' ')) {
+            throw new Error(`Inputs hold "${entered.join(' ')}" after pasting "${words.join(' ')}"`);
+        }
+        logger.verify(`Inputs hold the ${words.length} pasted words`);
+    }
+
+    const inputMethods = {
+        typed: {
+            enter: (phrase) => OnboardingPage.enterRecoveryPhrase(phrase),
+            mutations: {
+                'swapped words': swapWords,
+                'a blank word': (phrase) => phrase.map((word, i) => i === 4 ? '' : word),
+                'a mistyped word': mistypeLastWord
+            }
+        },
+        pasted: {
+            enter: pasteAndVerify,
+            mutations: {
+                'swapped words': swapWords,
+                'a missing word (one word short)': (phrase) => phrase.filter((_, i) => i !== 4),
+                'a mistyped word': mistypeLastWord
+            }
+        }
+    };
+
+    /**
+     * Create a new wallet and stop at the confirmation step
+     * @returns {Promise<string[]>} The recovery phrase shown by the app
+     */
+    async function openConfirmationStep() {
+        await OnboardingPage.clickNeedNewWallet();
+        const recoveryPhrase = await OnboardingPage.extractRecoveryPhrase();
+        await OnboardingPage.clickSavedPhrase();
+        return recoveryPhrase;
+    }
+
+    /**
+     * Before each test: Navigate to onboarding page
+     */
+    beforeEach(async () => {
+        logger.debug('Test setup: Navigating to onboarding page');
+        await OnboardingPage.visit();
+    });
+
+    /**
+     * Test Cases: Every wrong phrase, typed and pasted, is rejected
+     */
+    Object.entries(inputMethods).forEach(([method, { enter, mutations }]) => {
+        Object.entries(mutations).forEach(([mutation, mutate]) => {
+            it(`Rejects a ${method} recovery phrase with ${mutation}`, async () => {
+                const testName = `Recovery Phrase Confirmation - ${method}, ${mutation}`;
+                logger.testStart(testName);
+
+                try {
+                    const recoveryPhrase = await openConfirmationStep();
+                    await enter(mutate(recoveryPhrase));
+
+                    // Expected Result: Continue stays disabled or the password step is not reached
+                    const { continueEnabled, error } = await OnboardingPage.verifyRecoveryPhraseRejected();
+                    logger.debug('Rejection', { continueEnabled, error });
+
+                    logger.testEnd(testName, true);
+                } catch (err) {
+                    logger.error('Test failed with error', err);
+                    logger.testEnd(testName, false);
+                    throw err;
+                }
+            });
+        });
+    });
+
+    /**
+     * Test Case: Pasting the exact phrase fills every input and continues to the password step
+     */
+    it('Accepts the recovery phrase pasted in one go', async () => {
+        const testName = 'Recovery Phrase Confirmation - paste';
+        logger.testStart(testName);
+
+        try {
+            const recoveryPhrase = await openConfirmationStep();
+            await OnboardingPage.pasteRecoveryPhrase(recoveryPhrase);
+
+            const entered = await OnboardingPage.getEnteredRecoveryPhrase();
+            if (entered.join(' ') !== recoveryPhrase.join(' ')) {
+                throw new Error(`Pasted phrase was split into ${entered.filter(Boolean).length} of ${recoveryPhrase.length} inputs`);
+            }
+            logger.verify(`Paste filled all ${recoveryPhrase.length} inputs`);
+
+            await OnboardingPage.clickContinue();
+            await OnboardingPage.newPasswordInput.waitForDisplayed({ timeout: 15000 });
+            logger.verify('Password step reached after pasting');
+
+            logger.testEnd(testName, true);
+        } catch (error) {
+            logger.error('Test failed with error', error);
+            logger.testEnd(testName, false);
+            throw error;
+        }
+    });
+
+    /**
+     * Test Case: Full onboarding with the pasted phrase
+     */
+    it('Completes onboarding with a pasted recovery phrase', async () => {
+        const testName = 'Recovery Phrase Confirmation - paste onboarding';
+        logger.testStart(testName);
+
+        try {
+            await OnboardingPage.completeOnboarding(testConfig.password, { paste: true });
+
+            await WalletManagementPage.openWalletManagement();
+            await WalletManagementPage.verifyMainWallet();
+
+            logger.testEnd(testName, true);
+        } catch (error) {
+            logger.error('Test failed with error', error);
+            logger.testEnd(testName, false);
+            throw error;
+        }
+    });
+});
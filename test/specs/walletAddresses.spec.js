@@ -0,0 +1,97 @@
+const OnboardingPage = require('../pageobjects/OnboardingPage');
+const WalletManagementPage = require('../pageobjects/WalletManagementPage');
+const logger = require('../../utils/logger');
+const { deriveAddresses } = require('../api/helpers/solanaDerivation');
+
+/**
+ * Test Suite: Wallet Management - Derived Addresses
+ *
+ * Compares the address each wallet displays with the address derived offline
+ * from its recovery phrase (test/api/helpers/solanaDerivation.js):
+ * - A created wallet, after "Derive next account" and the Wallet 2/3 toggles
+ * - A wallet imported from a known recovery phrase
+ *
+ * Kept apart from walletManagement.spec.js, so the name-only flow does not
+ * depend on how addresses are displayed.
+ */
+describe('Wallet Management - Derived Addresses', () => {
+    // Test configuration
+    const testConfig = {
+        password: 'superSecurePasswordBecauseImLazy@!$#',
+        newWalletName: 'Talimi Banana',
+        mainWalletName: 'Main Wallet',
+        // Account index (m/44'/501'/<index>'/0') expected for each wallet:
+        // the derived wallet takes the next index, the 3rd and 4th toggles indexes 2 and 3
+        accountIndexes: {
+            'Main Wallet': 0,
+            'Talimi Banana': 1,
+            'Wallet 2': 2,
+            'Wallet 3': 3
+        },
+        // Public BIP39 test vector - never fund it
+        importPhrase: [...Array(11).fill('abandon'), 'about']
+    };
+
+    /**
+     * Before each test: Navigate to onboarding page
+     */
+    beforeEach(async () => {
+        logger.debug('Test setup: Navigating to onboarding page');
+        await OnboardingPage.visit();
+    });
+
+    /**
+     * Test Case: Every wallet of a created recovery phrase shows its derived address
+     */
+    it('Shows the derived address for the main, derived and toggled wallets', async () => {
+        const testName = 'Wallet Addresses - created wallet';
+        logger.testStart(testName);
+
+        try {
+            const recoveryPhrase = await OnboardingPage.completeOnboarding(testConfig.password);
+
+            await WalletManagementPage.openWalletManagement();
+            await WalletManagementPage.verifyMainWallet();
+            await WalletManagementPage.addNewWallet(testConfig.newWalletName);
+            await WalletManagementPage.manageRecoveryPhraseToggles();
+
+            // Expected Result: Every wallet shows the address at its account index
+            const derived = deriveAddresses(recoveryPhrase, Math.max(...Object.values(testConfig.accountIndexes)) + 1);
+            const expectedAddresses = Object.fromEntries(
+                Object.entries(testConfig.accountIndexes).map(([name, index]) => [name, derived[index]])
+            );
+            logger.debug('Expected addresses', expectedAddresses);
+            await WalletManagementPage.verifyWalletAddresses(expectedAddresses);
+
+            logger.testEnd(testName, true);
+        } catch (error) {
+            logger.error('Test failed with error', error);
+            logger.testEnd(testName, false);
+            throw error;
+        }
+    });
+
+    /**
+     * Test Case: An imported wallet shows the address derived from the known phrase
+     */
+    it('Shows the derived address for an imported wallet', async () => {
+        const testName = 'Wallet Addresses - imported wallet';
+        logger.testStart(testName);
+
+        try {
+            await OnboardingPage.importWallet(testConfig.importPhrase, testConfig.password);
+
+            // Expected Result: Main Wallet shows the address at account index 0
+            await WalletManagementPage.openWalletManagement();
+            await WalletManagementPage.verifyWalletAddresses({
+                [testConfig.mainWalletName]: deriveAddresses(testConfig.importPhrase, 1)[0]
+            });
+
+            logger.testEnd(testName, true);
+        } catch (error) {
+            logger.error('Test failed with error', error);
+            logger.testEnd(testName, false);
+            throw error;
+        }
+    });
+});
@@ -194,9 +194,10 @@ class Logger {
      * Log API request
      * @param {string} method - HTTP method
      * @param {string} url - Request URL
+     * @param {string} details - Additional details, e.g. params and body (optional)
      */
-    apiRequest(method, url) {
-        logger.info(`📡 API ${method}: ${url}`);
+    apiRequest(method, url, details = '') {
+        logger.info(`📡 API ${method}: ${url}${details ? ` ${details}` : ''}`);
     }
 
     /**
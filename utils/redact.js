@@ -0,0 +1,56 @@
+/**
+ * Redaction Helpers - Strip secrets before logging or persisting requests
+ *
+ * Features:
+ * - Header redaction (Authorization, cookies)
+ * - Recursive body redaction by key name
+ * - Length-capped serialization for log lines
+ */
+const REDACTED = '[REDACTED]';
+const SENSITIVE_HEADERS = ['authorization', 'cookie', 'set-cookie'];
+// Matches e.g. password, apiSecret, authToken, mnemonic, seedPhrase, privateKey - but not 'tokens'
+const SENSITIVE_KEYS = /password|secret|token$|authorization|mnemonic|seed|private_?key/i;
+
+/**
+ * Redact sensitive headers
+ * @param {object} headers - Header map
+ * @returns {object} Copy with sensitive values replaced
+ */
+function redactHeaders(headers = {}) {
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => [
+        name,
+        SENSITIVE_HEADERS.includes(name.toLowerCase()) ? REDACTED : value
+    ]));
+}
+
+/**
+ * Redact values of sensitive keys anywhere in a body
+ * @param {*} body - Request or response body
+ * @returns {*} Copy with sensitive values replaced
+ */
+function redactBody(body) {
+    if (Array.isArray(body)) {
+        return body.map(redactBody);
+    }
+    if (body !== null && typeof body === 'object') {
+        return Object.fromEntries(Object.entries(body).map(([key, value]) => [
+            key,
+            SENSITIVE_KEYS.test(key) ? REDACTED : redactBody(value)
+        ]));
+    }
+    return body;
+}
+
+/**
+ * Serialize a value for a single log line, truncated to maxLength
+ * @param {*} value - Value to serialize
+ * @param {number} maxLength - Maximum characters
+ * @returns {string} Serialized value
+ */
+function preview(value, maxLength = 300) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    if (text === undefined) return '';
+    return text.length > maxLength ? `${text.slice(0, maxLength)}… (${text.length} chars)` : text;
+}
+
+module.exports = { REDACTED, redactHeaders, redactBody, preview };
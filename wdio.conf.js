@@ -3,6 +3,77 @@ const logger = require('./utils/logger');
 // Track suite start time for duration calculation
 let suiteStartTime;
 
+// ==================
+// Browser Selection
+// ==================
+const SUPPORTED_BROWSERS = ['chrome', 'firefox'];
+
+// Workers re-read this file without the CLI flags, so the launcher's choice is kept in env
+const isHeadless = process.argv.includes('--headless') || process.env.HEADLESS === 'true';
+process.env.HEADLESS = String(isHeadless);
+
+/**
+ * Resolve the browsers to run from `--browser=<name>` (or `--browser <name>`), else WDIO_BROWSER.
+ * The generic BROWSER variable is not read: on Linux it often holds a browser path or xdg-open.
+ * @returns {string[]} Browser names - 'both' expands to every supported browser
+ */
+function resolveBrowsers() {
+    const index = process.argv.findIndex(arg => arg === '--browser' || arg.startsWith('--browser='));
+    const arg = index === -1
+        ? (process.env.WDIO_BROWSER || 'chrome')
+        : (process.argv[index].split('=')[1] || process.argv[index + 1] || '');
+    const value = arg.trim().toLowerCase();
+    process.env.WDIO_BROWSER = value;
+
+    if (value === 'both') {
+        return [...SUPPORTED_BROWSERS];
+    }
+    if (!SUPPORTED_BROWSERS.includes(value)) {
+        throw new Error(`Unsupported --browser value "${arg}". Use one of: ${[...SUPPORTED_BROWSERS, 'both'].join(', ')}`);
+    }
+    return [value];
+}
+
+/**
+ * Capability builders per browser with matching headless and window options
+ */
+const capabilityBuilders = {
+    chrome: () => ({
+        browserName: 'chrome',
+        'goog:chromeOptions': {
+            args: isHeadless
+                ? ['--headless', '--disable-gpu', '--window-size=1920,1080', '--no-sandbox', '--disable-dev-shm-usage']
+                : ['--start-maximized', '--disable-blink-features=AutomationControlled'],
+            prefs: {
+                'profile.default_content_setting_values.notifications': 2
+            }
+        },
+        acceptInsecureCerts: true
+    }),
+    firefox: () => ({
+        browserName: 'firefox',
+        'moz:firefoxOptions': {
+            args: isHeadless
+                ? ['-headless', '--width=1920', '--height=1080']
+                : ['--width=1920', '--height=1080'],
+            prefs: {
+                'permissions.default.desktop-notification': 2
+            }
+        },
+        acceptInsecureCerts: true
+    })
+};
+
+/**
+ * Driver service per browser
+ */
+const driverServices = {
+    chrome: 'chromedriver',
+    firefox: 'geckodriver'
+};
+
+const browsers = resolveBrowsers();
+
 exports.config = {
     // ====================
     // Runner Configuration
@@ -21,18 +92,7 @@ exports.config = {
     // Capabilities
     // ============
     maxInstances: 1,
-    capabilities: [{
-        browserName: 'chrome',
-        'goog:chromeOptions': {
-            args: process.argv.includes('--headless') 
-                ? ['--headless', '--disable-gpu', '--window-size=1920,1080', '--no-sandbox', '--disable-dev-shm-usage']
-                : ['--start-maximized', '--disable-blink-features=AutomationControlled'],
-            prefs: {
-                'profile.default_content_setting_values.notifications': 2
-            }
-        },
-        acceptInsecureCerts: true
-    }],
+    capabilities: browsers.map(name => capabilityBuilders[name]()),
     
     // ===================
     // Test Configurations
@@ -45,7 +105,7 @@ exports.config = {
     connectionRetryCount: 3,
     
     // Framework and services
-    services: ['chromedriver'],
+    services: browsers.map(name => driverServices[name]),
     framework: 'mocha',
     reporters: ['spec'],
     
@@ -66,8 +126,8 @@ exports.config = {
         logger.info('═'.repeat(70));
         logger.info('🎯 WebdriverIO Test Suite Starting');
         logger.info('═'.repeat(70));
-        logger.info(`Browser: ${capabilities[0].browserName.toUpperCase()}`);
-        logger.info(`Mode: ${process.argv.includes('--headless') ? 'Headless' : 'Headed'}`);
+        logger.info(`Browser: ${capabilities.map(cap => cap.browserName.toUpperCase()).join(', ')}`);
+        logger.info(`Mode: ${isHeadless ? 'Headless' : 'Headed'}`);
         logger.info(`Base URL: ${config.baseUrl}`);
         logger.info('═'.repeat(70));
     },
@@ -102,9 +162,10 @@ exports.config = {
      */
     afterTest: async function (test, context, { error, result, duration, passed, retries }) {
         if (!passed) {
-            const screenshotPath = `./screenshots/${test.title.replace(/\s+/g, '_')}_FAILED.png`;
+            const browserName = browser.capabilities.browserName || 'unknown';
+            const screenshotPath = `./screenshots/${test.title.replace(/\s+/g, '_')}_${browserName}_FAILED.png`;
             await browser.saveScreenshot(screenshotPath);
-            logger.error(`Test failed: ${test.title}`);
+            logger.error(`Test failed: ${test.title} [${browserName}]`);
             logger.info(`📸 Screenshot saved: ${screenshotPath}`);
             
             if (error) {